@@ -5,6 +5,45 @@
     const MODULE_NAME = "InfiScroll";
     const DEFAULT_TRESHOLD = 0.5;
     const SCROLL_THROTTLE = 50;
+    const DEFAULT_POOL_SIZE = 100;
+    const DEFAULT_FRAME_BUDGET = 8;
+    const DEFAULT_PREFETCH_LIMIT = 10;
+    const DEFAULT_PAGE_SIZE = 50;
+    const DEFAULT_MAX_PAGES = 20;
+    const DEFAULT_MAX_SCROLL_HEIGHT = 10000000; // Browsers cap the scroll height at 16-33 million pixels.
+    const VELOCITY_TIMEOUT = 100; // Scrolling has stopped if there are no scroll events for this long.
+    const DEFAULT_PULL_THRESHOLD = 64;
+    const DEFAULT_PULL_RESISTANCE = 2.5;
+    // Elements inside list items which handle clicks themselves.
+    const INTERACTIVE_ELEMENTS = "a,button,input,select,textarea,[contenteditable]";
+    // Resolved by the generator for an index past the end of the data.
+    const END = Object.freeze({ done: true });
+    const DEFAULT_RETRY_POLICY = Object.freeze({
+        retries: 0, // Number of automatic retries.
+        delay: 1000, // Delay before the first retry in milliseconds.
+        backoff: 2, // Factor by which the delay grows after each retry.
+        maxDelay: 30000 // Maximum delay between retries.
+    });
+
+    // DOM properties of the axis the list scrolls along and of the cross
+    // axis. Offsets and sizes along the scrolling axis are called top and
+    // height in the code regardless of the orientation.
+    const AXES = Object.freeze({
+        vertical: Object.freeze({
+            start: "top", size: "height", scroll: "scrollTop", client: "clientHeight",
+            offset: "offsetHeight", scrollSize: "scrollHeight", clientStart: "clientTop",
+            pageOffset: "pageYOffset", crossStart: "left", crossEnd: "right",
+            crossSize: "width", crossClient: "clientWidth",
+            next: "ArrowDown", previous: "ArrowUp", crossNext: "ArrowRight", crossPrevious: "ArrowLeft"
+        }),
+        horizontal: Object.freeze({
+            start: "left", size: "width", scroll: "scrollLeft", client: "clientWidth",
+            offset: "offsetWidth", scrollSize: "scrollWidth", clientStart: "clientLeft",
+            pageOffset: "pageXOffset", crossStart: "top", crossEnd: "bottom",
+            crossSize: "height", crossClient: "clientHeight",
+            next: "ArrowRight", previous: "ArrowLeft", crossNext: "ArrowDown", crossPrevious: "ArrowUp"
+        })
+    });
 
     const OPTIONS = Object.freeze({
         TRESHOLD: "treshold", // Amount of pixels below and above the
@@ -21,7 +60,66 @@
         TOGGLE_SPINNER: "spinner", // Callback to show or hide spinner animation.
         THROTTLE_SCROLL: "throttleScroll", // Callback to show or hide spinner animation.
         KEEP_POSITION_ON_RELOAD: "keepPositionOnReload", // Do not reset scroll height when reloading.
-        BATCH_LOAD: "batchLoad" // Do not reset scroll height when reloading.
+        BATCH_LOAD: "batchLoad", // Do not reset scroll height when reloading.
+        VARIABLE_HEIGHT: "variableHeight", // Measure the height of each list element after it is generated.
+        ESTIMATED_CHILD_SIZE: "estimatedChildSize", // Height used for variable height elements not yet measured.
+        START_AT_END: "startAtEnd", // Initially scroll to the last element of the list.
+        STICK_TO_BOTTOM: "stickToBottom", // Keep the list scrolled to the bottom as it grows, unless scrolled up.
+        RETRY_POLICY: "retryPolicy", // Retries and backoff for failed generator calls.
+        ERROR_RENDERER: "errorRenderer", // Function which creates the element shown in place of a failed item.
+        PLACEHOLDER: "placeholder", // Function which creates the element shown while an item is being generated.
+        CREATE_ELEMENT: "createElement", // Function which creates a reusable list element.
+        BIND_ELEMENT: "bindElement", // Function which binds item data to a reusable list element.
+        UNBIND_ELEMENT: "unbindElement", // Function which releases a reusable list element.
+        POOL_SIZE: "poolSize", // Maximum count of unbound elements kept for reuse.
+        MAX_CONCURRENT: "maxConcurrent", // Maximum count of pending generator calls.
+        MAX_BATCH_SIZE: "maxBatchSize", // Maximum count of indices in one batched generator call.
+        FRAME_BUDGET: "frameBudget", // Milliseconds of DOM work done per animation frame.
+        PREFETCH_TIME: "prefetchTime", // Load rows ahead for this many milliseconds of scrolling at the current speed.
+        PREFETCH_LIMIT: "prefetchLimit", // Maximum count of rows loaded ahead because of the scroll speed.
+        IDLE_PREFETCH: "idlePrefetch", // Count of rows generated into cache ahead of the loaded area when idle.
+        SCROLL_PARENT: "scrollParent", // Window or an ancestor element which scrolls instead of the list.
+        MAX_SCROLL_HEIGHT: "maxScrollHeight", // Taller lists are scrolled in scaled coordinates.
+        DOM_POLICY: "domPolicy", // Policy deciding which elements are removed from DOM.
+        CACHE_POLICY: "cachePolicy", // Policy deciding which elements are removed from cache.
+        RESTORE_STATE: "restoreState", // State returned by getState() to restore the list to.
+        SECTIONS: "sections", // Start indices of list sections.
+        HEADER_GENERATOR: "headerGenerator", // Function which creates the header element of a section.
+        HEADER_SIZE: "headerSize", // Fixed height of a section header.
+        ROLE: "role", // ARIA role of the container, 'list' or 'listbox'.
+        KEYBOARD_NAVIGATION: "keyboardNavigation", // Move focus between items with arrow keys etc.
+        SELECTION_MODE: "selectionMode", // Selection of items by click, 'single', 'multi' or 'range'.
+        GET_KEY: "getKey", // Function returning a unique key for the item at an index.
+        DATA_SOURCE: "dataSource", // Object providing the items instead of a generator, e.g. ArraySource.
+        ORIENTATION: "orientation", // Scrolling direction, 'vertical' or 'horizontal'.
+        COLUMNS: "columns", // Count of items laid out side by side in a grid.
+        COLUMN_WIDTH: "columnWidth", // Minimum width of a grid column, the count of columns follows the container width.
+        TABLE_COLUMNS: "tableColumns", // Widths of table columns, the cells of each row are loaded as they scroll into view.
+        FROZEN_COLUMNS: "frozenColumns", // Count of leading table columns which stay in view when scrolled sideways.
+        COLUMN_HEADER: "columnHeader", // Function which creates the header cell of a table column.
+        CELL_CACHE_SIZE: "cellCacheSize", // Maximum count of cells of columns out of view kept for each table row.
+        FOOTER: "footer", // Function which creates the element shown after the last item for a state.
+        FOOTER_SIZE: "footerSize", // Fixed height of the footer element.
+        ON_REFRESH: "onRefresh", // Async callback which refreshes the data when the list is pulled down from the top.
+        PULL_INDICATOR: "pullIndicator", // Function which creates the element shown while the list is pulled.
+        PULL_THRESHOLD: "pullThreshold", // Distance in pixels the list must be pulled to refresh it.
+        PULL_RESISTANCE: "pullResistance" // Factor by which the pulled distance lags behind the pointer.
+    });
+
+    const EVENTS = Object.freeze({
+        RANGE_CHANGE: "rangechange", // First or last visible index has changed.
+        ITEM_RENDERED: "itemrendered", // List item has been added to DOM.
+        ITEM_EVICTED: "itemevicted", // List item has been removed from DOM, evicted or no longer in the list.
+        ITEM_CACHED: "itemcached", // Removed list item has been placed in cache.
+        LOAD_START: "loadstart", // Generator has been called.
+        LOAD_END: "loadend", // All pending generator calls have resolved.
+        REACH_START: "reachstart", // First item of the list has become visible.
+        REACH_END: "reachend", // Last item of the list has become visible.
+        ERROR: "error", // Generating list items failed.
+        SELECTION_CHANGE: "selectionchange", // Selected items have changed.
+        END: "end", // The generator signalled the end of the data.
+        REFRESH_START: "refreshstart", // The list was pulled down to refresh it.
+        REFRESH_END: "refreshend" // The refresh callback has settled.
     });
 
     // Do not allow use in environments such as Node as it makes no sense.
@@ -31,285 +129,3379 @@
         );
 
     /**
-     * Create range of numbers from start to start+N.
+     * Create range of numbers from start to start+N.
+     *
+     * @param start Starting index.
+     * @param N Number of indices to generate.
+     * @returns {Array} Array of range numbers.
+     */
+    function numRange(start, N) {
+        return Array.from(Array(N || 1), (val, index) => start + index);
+    }
+
+    /**
+     * Check whether a generator result signals the end of the data, either
+     * with the END value or an object with done set to true.
+     *
+     * @param {*} result Generator result.
+     * @returns {boolean} True if there are no items from the index on.
+     */
+    function isEndOfData(result) {
+        return result === END
+            || (!!result && typeof result === "object" && !(result instanceof Node) && result.done === true);
+    }
+
+    /**
+     * Call the function before the next repaint, or after a short delay in
+     * environments without requestAnimationFrame.
+     *
+     * @param {function} callback Function to call.
+     * @returns {number} Request identifier for cancelFrame.
+     */
+    function requestFrame(callback) {
+        return window.requestAnimationFrame ?
+            window.requestAnimationFrame(callback) :
+            setTimeout(callback, 16);
+    }
+
+    /**
+     * Cancel a request made with requestFrame.
+     *
+     * @param {number} request Request identifier.
+     */
+    function cancelFrame(request) {
+        if (window.cancelAnimationFrame) window.cancelAnimationFrame(request);
+        else clearTimeout(request);
+    }
+
+    /**
+     * Log warning message.
+     * @param {string} msg Message.
+     */
+    function warn(msg) {
+        console.warn(`${MODULE_NAME}: ${msg}`);
+    }
+
+    /**
+     * Return the indices of list items which fit into the list view.
+     *
+     * @param {number} rootTop Container view scrollTop.
+     * @param {number} rootHeight Container height.
+     * @param {Object} treshold Extra area { before, after } loaded above and below the visible container.
+     * @param {number} childSize Fixed size of a child container.
+     * @param {number} columns Count of items on each row.
+     */
+    function getChildrenInView(rootTop, rootHeight, treshold, childSize, columns = 1) {
+        // If no size is yet available, load only the first element
+        // to calculate the fixed height.
+        if (!childSize) return [0];
+
+        const top = Math.max(rootTop - treshold.before, 0),
+            totalHeight = rootHeight + treshold.before + treshold.after,
+            firstChildInView = (top / childSize) >>> 0,
+            firstChildExcess = firstChildInView * childSize,
+            viewLeft = totalHeight - (firstChildExcess - rootTop),
+            childrenInView = Math.ceil(viewLeft / childSize);
+
+        // All items of the rows in view are loaded.
+        return numRange(firstChildInView * columns, childrenInView * columns);
+    }
+
+    /**
+     * Return the indices of list items which fit into the list view when
+     * the items are of variable height or the list has section headers.
+     *
+     * @param {number} rootTop Container view scrollTop.
+     * @param {number} rootHeight Container height.
+     * @param {Object} treshold Extra area { before, after } loaded above and below the visible container.
+     */
+    function getLaidOutChildrenInView(rootTop, rootHeight, treshold) {
+        if (!this.__childSize) return [0];
+
+        const size = this.__size,
+            top = Math.max(rootTop - treshold.before, 0),
+            bottom = rootTop + rootHeight + treshold.after,
+            firstChildInView = getIndexAt.call(this, top);
+
+        let lastChildInView = firstChildInView;
+        while (getItemTop.call(this, lastChildInView + 1) < bottom
+            && !(typeof size === "number" && lastChildInView + 1 >= size)) {
+            lastChildInView++;
+        }
+
+        return numRange(firstChildInView, lastChildInView - firstChildInView + 1);
+    }
+
+    /**
+     * Recalculate the first and last visible list item and emit range
+     * change events if they have changed.
+     *
+     * @param {number} scrollTop Container view scrollTop.
+     * @param {number} height Container height.
+     */
+    function updateVisibleRange(scrollTop, height) {
+        if (!this.__childSize || this.__size === 0) return;
+
+        // The last visible item is at the end of the last visible row.
+        let first = getIndexAt.call(this, scrollTop),
+            last = getIndexAt.call(this, Math.max(scrollTop + height - 1, scrollTop)) + this.__columns - 1;
+        if (typeof this.__size === "number") {
+            first = Math.min(first, this.__size - 1);
+            last = Math.min(last, this.__size - 1);
+        }
+
+        const previous = this.__visibleRange;
+        if (previous && previous.first === first && previous.last === last) return;
+        this.__visibleRange = { first, last };
+
+        emit.call(this, EVENTS.RANGE_CHANGE, { first, last });
+
+        if (first === 0 && (!previous || previous.first !== 0)) {
+            emit.call(this, EVENTS.REACH_START, { index: 0 });
+        }
+
+        const end = this.__size - 1;
+        if (last === end && (!previous || previous.last !== end)) {
+            emit.call(this, EVENTS.REACH_END, { index: end });
+        }
+    }
+
+    /**
+     * Least recently used eviction policy. Both the DOM element limit and
+     * the cache use a policy object to decide which items to remove, and
+     * custom policies can be given in options.
+     *
+     * A policy has the following methods:
+     * touch(index, value) records use of an item, evict(limit, canEvict)
+     * removes and returns items until at most limit are left, delete(index)
+     * forgets an item, clear() forgets all items and keys() returns the
+     * tracked items in eviction order. Property size is the count of items.
+     *
+     * Map iteration follows insertion order, so re-inserting an item on
+     * every use keeps the least recently used item first.
+     *
+     * @constructor
+     */
+    function LruPolicy() {
+        this.entries = new Map();
+    }
+
+    Object.defineProperty(LruPolicy.prototype, "size", {
+        get() {
+            return this.entries.size;
+        }
+    });
+
+    /**
+     * Mark an item as the most recently used.
+     *
+     * @param {number} index Item index.
+     * @param {*} value Element or data of the item.
+     */
+    LruPolicy.prototype.touch = function (index, value) {
+        this.entries.delete(index);
+        this.entries.set(index, value);
+    };
+
+    /**
+     * Remove least recently used items until at most limit items are left.
+     *
+     * @param {number} limit Count of items to keep.
+     * @param {function} canEvict Returns false for items which must be kept.
+     * @returns {number[]} Evicted item indices.
+     */
+    LruPolicy.prototype.evict = function (limit, canEvict) {
+        const evicted = [];
+        for (const index of this.entries.keys()) {
+            if (this.entries.size - evicted.length <= limit) break;
+            if (canEvict && !canEvict(index)) continue;
+            evicted.push(index);
+        }
+
+        for (const index of evicted) this.entries.delete(index);
+        return evicted;
+    };
+
+    /**
+     * Forget an item.
+     *
+     * @param {number} index Item index.
+     */
+    LruPolicy.prototype.delete = function (index) {
+        this.entries.delete(index);
+    };
+
+    /**
+     * Forget all items.
+     */
+    LruPolicy.prototype.clear = function () {
+        this.entries.clear();
+    };
+
+    /**
+     * Get the tracked items, least recently used first.
+     *
+     * @returns {Iterable} Item indices.
+     */
+    LruPolicy.prototype.keys = function () {
+        return this.entries.keys();
+    };
+
+    /**
+     * In-memory data source rendering the records of an array. The list
+     * shows a view of the records which can be filtered and sorted; the
+     * list is reordered by record without generating the loaded items again.
+     *
+     * A data source has the following methods:
+     * load(index, resolve, signal) resolves the element of an index, or the
+     * elements of a list of indices, like a generator. attach(list) is called with the
+     * list using the source. Optional getKey(index) returns the key of an item
+     * and property size is the count of items, if known.
+     *
+     * @param {Array} records Records of the list.
+     * @param {function} render Function (record, index) which returns the element of a record.
+     * @constructor
+     */
+    function ArraySource(records, render) {
+        if (typeof render !== "function")
+            throw Error("ArraySource requires a render function (record, index)");
+
+        this.records = Array.from(records);
+        this.render = render;
+        this.filter = null;
+        this.compare = null;
+        this.list = null;
+        this.view = createView.call(this); // Record indices in view order.
+    }
+
+    Object.defineProperty(ArraySource.prototype, "size", {
+        get() {
+            return this.view.length;
+        }
+    });
+
+    /**
+     * Get the indices of the records passing the filter in sorted order.
+     *
+     * @returns {number[]} Record indices.
+     */
+    function createView() {
+        let view = Array.from(this.records.keys());
+        if (this.filter) view = view.filter(e => this.filter(this.records[e], e));
+        // Equal records keep their original order.
+        if (this.compare) view.sort((a, b) => this.compare(this.records[a], this.records[b]) || a - b);
+
+        return view;
+    }
+
+    /**
+     * Recalculate the view and reorder the list to match it.
+     */
+    function updateView() {
+        this.view = createView.call(this);
+        if (this.list) this.list.setKeys(this.view);
+    }
+
+    /**
+     * Use the list with this source.
+     *
+     * @param {ScrollElement} list List rendering the records, or null to detach.
+     */
+    ArraySource.prototype.attach = function (list) {
+        this.list = list;
+    };
+
+    /**
+     * Render the records at the given view indices.
+     *
+     * @param {number|number[]} index View index or a list of view indices.
+     * @param {function} resolve Callback receiving the element(s).
+     */
+    ArraySource.prototype.load = function (index, resolve) {
+        if (index.constructor === Array) {
+            resolve(index.map(i => this.render(this.getRecord(i), i)));
+        } else {
+            resolve(this.render(this.getRecord(index), index));
+        }
+    };
+
+    /**
+     * Get the record at a view index.
+     *
+     * @param {number} index View index.
+     * @returns {*} Record.
+     */
+    ArraySource.prototype.getRecord = function (index) {
+        return this.records[this.view[index]];
+    };
+
+    /**
+     * Get the key of the record at a view index, e.g. its index in the records.
+     *
+     * @param {number} index View index.
+     * @returns {number} Record index.
+     */
+    ArraySource.prototype.getKey = function (index) {
+        return this.view[index];
+    };
+
+    /**
+     * Show only the records for which the filter returns true.
+     *
+     * @param {function} filter Function (record, recordIndex), or null to show all records.
+     */
+    ArraySource.prototype.setFilter = function (filter) {
+        this.filter = filter || null;
+        updateView.call(this);
+    };
+
+    /**
+     * Sort the records with a compare function like Array.prototype.sort.
+     *
+     * @param {function} compare Function (a, b), or null for the original order.
+     */
+    ArraySource.prototype.setSort = function (compare) {
+        this.compare = compare || null;
+        updateView.call(this);
+    };
+
+    /**
+     * Replace all records and reload the list.
+     *
+     * @param {Array} records New records.
+     */
+    ArraySource.prototype.setRecords = function (records) {
+        this.records = Array.from(records);
+        this.view = createView.call(this);
+        if (this.list) {
+            this.list.updateSize(this.size);
+            this.list.reload();
+        }
+    };
+
+    /**
+     * Data source loading records from a remote API one page at a time.
+     * Concurrent requests for the same page share one fetch, and the most
+     * recently used pages are kept so the items of a page are rendered without
+     * fetching it again.
+     *
+     * Options: fetchPage(pageIndex, pageSize) returns a Promise of the records
+     * of the page, or of { records, total }. render(record, index) returns the
+     * element of a record. pageSize is the count of records per page, maxPages
+     * the count of pages kept and size the total count of records, if known.
+     * A page with fewer records than pageSize ends the list.
+     *
+     * @param {Object} options Configuration of the source.
+     * @constructor
+     */
+    function PagedSource(options) {
+        if (!options || typeof options.fetchPage !== "function" || typeof options.render !== "function")
+            throw Error("PagedSource requires fetchPage(pageIndex, pageSize) and render(record, index) options");
+
+        this.fetchPage = options.fetchPage;
+        this.render = options.render;
+        this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+        this.maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+        this.size = options.size;
+        this.pages = new Map(); // Promises of page records by page index, least recently used first.
+        this.list = null;
+    }
+
+    /**
+     * Use the list with this source.
+     *
+     * @param {ScrollElement} list List rendering the records, or null to detach.
+     */
+    PagedSource.prototype.attach = function (list) {
+        this.list = list;
+    };
+
+    /**
+     * Fetch the pages of the given indices and render their records.
+     *
+     * @param {number|number[]} index Index or a list of indices.
+     * @param {function} resolve Callback receiving the element(s) or an Error.
+     */
+    PagedSource.prototype.load = function (index, resolve) {
+        const indices = [].concat(index);
+        Promise.all(indices.map(i => loadRecord.call(this, i)
+            .then(record => record === END ? END : this.render(record, i))))
+            .then(
+                elements => resolve(index.constructor === Array ? elements : elements[0]),
+                err => resolve(err instanceof Error ? err : Error(err))
+            );
+    };
+
+    /**
+     * Forget the loaded pages and reload the list.
+     */
+    PagedSource.prototype.reload = function () {
+        this.pages.clear();
+        if (this.list) this.list.reload();
+    };
+
+    /**
+     * Get the record at an index, fetching its page if needed.
+     *
+     * @param {number} index Index of the record.
+     * @returns {Promise} Promise of the record, or END past the last record.
+     */
+    function loadRecord(index) {
+        const pageIndex = Math.floor(index / this.pageSize);
+        return loadPage.call(this, pageIndex).then(records => {
+            const record = records[index - pageIndex * this.pageSize];
+            // The index is past the last record.
+            if (record === undefined && typeof this.size === "number" && index >= this.size) return END;
+            if (record === undefined) throw Error(`No record at index ${index}`);
+            return record;
+        });
+    }
+
+    /**
+     * Fetch a page unless it is loaded or being fetched already. Failed
+     * pages are fetched again on the next request, and the least recently
+     * used pages are forgotten beyond maxPages.
+     *
+     * @param {number} pageIndex Index of the page.
+     * @returns {Promise} Promise of the records of the page.
+     */
+    function loadPage(pageIndex) {
+        if (this.pages.has(pageIndex)) {
+            // Move the page to the end of the map as the most recently used.
+            const page = this.pages.get(pageIndex);
+            this.pages.delete(pageIndex);
+            this.pages.set(pageIndex, page);
+            return page;
+        }
+
+        const page = Promise.resolve()
+            .then(() => this.fetchPage(pageIndex, this.pageSize))
+            .then(result => {
+                const records = Array.isArray(result) ? result : result && result.records;
+                if (!Array.isArray(records))
+                    throw Error(`fetchPage resolved with invalid records for page ${pageIndex}`);
+
+                let total = result.total;
+                if (typeof total !== "number" && records.length < this.pageSize) {
+                    total = pageIndex * this.pageSize + records.length;
+                }
+                if (typeof total === "number" && total !== this.size) {
+                    this.size = total;
+                    if (this.list) this.list.updateSize(total);
+                }
+
+                return records;
+            });
+        page.catch(() => {
+            if (this.pages.get(pageIndex) === page) this.pages.delete(pageIndex);
+        });
+
+        this.pages.set(pageIndex, page);
+        for (const oldIndex of this.pages.keys()) {
+            if (this.pages.size <= this.maxPages) break;
+            this.pages.delete(oldIndex);
+        }
+        return page;
+    }
+
+    /**
+     * Move the items tracked by a policy to new indices, keeping their order.
+     *
+     * @param {Object} policy Eviction policy.
+     * @param {function} mapIndex Maps an old index to the new one, or to -1.
+     * @param {function} getValue Returns the value of an item by its new index.
+     */
+    function remapPolicy(policy, mapIndex, getValue) {
+        const keys = Array.from(policy.keys());
+        policy.clear();
+        for (const key of keys) {
+            const newKey = mapIndex(key);
+            if (newKey !== -1) policy.touch(newKey, getValue(newKey));
+        }
+    }
+
+    /**
+     * Keeps track of measured list item heights and running offsets for
+     * lists with variable height items. Items that have not been measured
+     * yet use the estimated height.
+     *
+     * Offsets are stored as differences to the estimate in a Fenwick tree
+     * so that both offset and index lookups are logarithmic.
+     *
+     * @param {number} estimate Estimated height of an item not yet measured.
+     * @constructor
+     */
+    function HeightMap(estimate) {
+        this.estimate = estimate || 0;
+        this.heights = new Map(); // Measured heights by index.
+        this.tree = [0]; // 1-based Fenwick tree of height - estimate.
+    }
+
+    /**
+     * Rebuild the tree from the measured heights, growing it so that
+     * the given index fits in.
+     *
+     * @param {number} index Index which has to fit in the tree.
+     */
+    HeightMap.prototype.rebuild = function (index = 0) {
+        let capacity = Math.max(this.tree.length - 1, 64);
+        while (capacity <= index) capacity *= 2;
+
+        this.tree = new Array(capacity + 1).fill(0);
+        for (const [i, height] of this.heights) {
+            if (i < capacity) this.add(i, height - this.estimate);
+        }
+    };
+
+    /**
+     * Add delta to the tree node of the given index.
+     *
+     * @param {number} index Item index.
+     * @param {number} delta Difference to add.
+     */
+    HeightMap.prototype.add = function (index, delta) {
+        for (let i = index + 1; i < this.tree.length; i += i & -i) {
+            this.tree[i] += delta;
+        }
+    };
+
+    /**
+     * Get the height of a single item, measured or estimated.
+     *
+     * @param {number} index Item index.
+     * @returns {number} Item height in pixels.
+     */
+    HeightMap.prototype.get = function (index) {
+        return this.heights.has(index) ? this.heights.get(index) : this.estimate;
+    };
+
+    /**
+     * Record the measured height of an item.
+     *
+     * @param {number} index Item index.
+     * @param {number} height Measured height in pixels.
+     * @returns {number} Change to the height of the item.
+     */
+    HeightMap.prototype.set = function (index, height) {
+        const delta = height - this.get(index);
+        if (!delta) {
+            this.heights.set(index, height);
+            return 0;
+        }
+
+        if (index >= this.tree.length - 1) {
+            this.heights.set(index, height);
+            this.rebuild(index);
+        } else {
+            this.add(index, delta);
+            this.heights.set(index, height);
+        }
+
+        return delta;
+    };
+
+    /**
+     * Forget the measured height of an item.
+     *
+     * @param {number} index Item index.
+     */
+    HeightMap.prototype.delete = function (index) {
+        if (!this.heights.has(index)) return;
+        this.set(index, this.estimate);
+        this.heights.delete(index);
+    };
+
+    /**
+     * Change the estimated height of items not yet measured.
+     *
+     * @param {number} estimate New estimate in pixels.
+     */
+    HeightMap.prototype.setEstimate = function (estimate) {
+        this.estimate = estimate;
+        this.rebuild();
+    };
+
+    /**
+     * Move measured heights to new indices.
+     *
+     * @param {function} mapIndex Maps an old index to the new one, or to -1.
+     */
+    HeightMap.prototype.remap = function (mapIndex) {
+        const heights = new Map();
+        for (const [index, height] of this.heights) {
+            const newIndex = mapIndex(index);
+            if (newIndex !== -1) heights.set(newIndex, height);
+        }
+
+        this.heights = heights;
+        this.tree = [0];
+        let maxIndex = 0;
+        for (const index of heights.keys()) maxIndex = Math.max(maxIndex, index);
+        this.rebuild(maxIndex);
+    };
+
+    /**
+     * Forget all measured heights.
+     */
+    HeightMap.prototype.clear = function () {
+        this.heights.clear();
+        this.tree = [0];
+    };
+
+    /**
+     * Get the top offset of an item, e.g. the sum of heights of all
+     * items before it.
+     *
+     * @param {number} index Item index.
+     * @returns {number} Top offset in pixels.
+     */
+    HeightMap.prototype.offsetOf = function (index) {
+        const capacity = this.tree.length - 1;
+        let delta = 0;
+        for (let i = Math.min(index, capacity); i > 0; i -= i & -i) {
+            delta += this.tree[i];
+        }
+
+        return index * this.estimate + delta;
+    };
+
+    /**
+     * Get the index of the item which covers the given offset.
+     *
+     * @param {number} offset Offset in pixels.
+     * @returns {number} Item index.
+     */
+    HeightMap.prototype.indexAt = function (offset) {
+        const capacity = this.tree.length - 1;
+        let index = 0, sum = 0;
+
+        // Descend the tree, the running offsets are monotonic as all
+        // heights are positive.
+        let step = 1;
+        while (step * 2 <= capacity) step *= 2;
+        for (; step > 0; step >>= 1) {
+            const next = index + step;
+            if (next > capacity) continue;
+            const candidate = sum + this.tree[next] + step * this.estimate;
+            if (candidate <= offset) {
+                index = next;
+                sum = candidate;
+            }
+        }
+
+        // Past the tree every item has the estimated height.
+        if (index === capacity && this.estimate) {
+            index += ((offset - sum) / this.estimate) >>> 0;
+        }
+
+        return index;
+    };
+
+    /**
+     * Generate DOM id property for given list item.
+     *
+     * @param {number} index Ordinal index of the child in list.
+     * @returns {string} Generated id property.
+     */
+    function getListItemId(index) {
+        return `__${MODULE_NAME}_${this.__uniqueIdentifier}_index_${index}`;
+    }
+
+    /**
+     * Remove given list items from DOM.
+     *
+     * @param {HTMLELement} parent DOM element containing children.
+     * @param {number[]} elements Element ids to remove.
+     * @return Map which maps element ids to removed DOM elements, for caching.
+     */
+    function removeChildren(parent, ...elements) {
+        const result = new Map();
+        elements
+            .reduce((arr, val) => arr.concat(val))
+            .forEach(e => {
+                const childId = getListItemId.call(this, e);
+                const elem = document.getElementById(childId);
+                // The element is not in DOM.
+                if (!elem) return;
+
+                result.set(e, elem);
+                parent.removeChild(elem);
+            });
+
+        return result;
+    }
+
+    /**
+     * Call the listeners of an event.
+     *
+     * @param {string} type Event type, one of EVENTS.
+     * @param {Object} detail Event specific payload.
+     */
+    function emit(type, detail = {}) {
+        const listeners = this.__listeners.get(type);
+        if (!listeners || !listeners.size) return;
+
+        const event = { type, detail, target: this };
+        for (const listener of Array.from(listeners)) {
+            try {
+                listener(event);
+            } catch (err) {
+                warn(`Listener for '${type}' threw ${err}`);
+            }
+        }
+    }
+
+    /**
+     * Emit loadend event if there are no unresolved queries left.
+     */
+    function onQueriesSettled() {
+        onReloadSettled.call(this);
+
+        if (!this.__loading || this.__queries.size) return;
+        this.__loading = false;
+        emit.call(this, EVENTS.LOAD_END);
+
+        scheduleIdlePrefetch.call(this);
+    }
+
+    /**
+     * Parse the ordinal index of a list item from its DOM id.
+     *
+     * @param {HTMLElement} elem List item DOM element.
+     * @returns {number} Ordinal index, or -1 if the element is not a list item.
+     */
+    function getListItemIndex(elem) {
+        const match = /_index_(\d+)$/.exec(elem.id || "");
+        return match ? +match[1] : -1;
+    }
+
+    /**
+     * Bind item data to a reusable element taken from the pool, or to a new
+     * element if the pool is empty.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @param {*} data Item data resolved by the generator.
+     * @returns {HTMLElement} Bound DOM element.
+     */
+    function bindPooledElement(index, data) {
+        const elem = this.__pool.length ? this.__pool.pop() : this.__createElement();
+        if (!(elem instanceof HTMLElement))
+            throw Error(`${MODULE_NAME} createElement returned non-HTMLElement result.`);
+
+        this.__bindElement(elem, index, data);
+        this.__itemData.set(index, data);
+        return elem;
+    }
+
+    /**
+     * Unbind a reusable element which has been removed from the list and
+     * put it back into the pool.
+     *
+     * @param {number} index Ordinal index the element was bound to.
+     * @param {HTMLElement} elem Removed DOM element.
+     */
+    function recycleElement(index, elem) {
+        if (!this.__bindElement) return;
+
+        if (this.__unbindElement) this.__unbindElement(elem, index);
+        if (this.__pool.length < this.__poolSize) this.__pool.push(elem);
+    }
+
+    /**
+     * Validate passed options for required arguments.
+     *
+     * @param {Object} object Options object.
+     * @param {string[]} properties Required properties.
+     */
+    function requireOptions(object, ...properties) {
+        const missing = properties.filter(p => !(p in object));
+        if (missing.length)
+            throw Error(
+                `Options object is missing required properties ${missing}`
+            );
+    }
+
+    /**
+     * Get a Promise which resolves with the DOM element of the item
+     * once it has been added to the list.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @returns {Promise} Resolves with the DOM element.
+     */
+    function waitForItem(index) {
+        if (this.__domElements.has(index)) {
+            const elem = document.getElementById(getListItemId.call(this, index));
+            if (elem) return Promise.resolve(elem);
+        }
+
+        return new Promise((resolve, reject) => {
+            if (!this.__itemWaiters.has(index)) this.__itemWaiters.set(index, []);
+            this.__itemWaiters.get(index).push({ resolve, reject });
+        });
+    }
+
+    /**
+     * Reject the promises waiting for an item which will not be loaded.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @param {Error} error Reason why the item is not loaded.
+     */
+    function rejectWaiters(index, error) {
+        const waiters = this.__itemWaiters.get(index);
+        if (!waiters) return;
+
+        this.__itemWaiters.delete(index);
+        for (const waiter of waiters) waiter.reject(error);
+    }
+
+    /**
+     * Set the scroll position so that the item is aligned in the view.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @param {string} align One of 'start', 'center', 'end' or 'nearest'.
+     * @param {string} behavior Scroll behavior, 'auto' or 'smooth'.
+     */
+    function scrollToItem(index, align, behavior) {
+        // The header row of a table covers the top of the view.
+        const headerSize = this.__table ? this.__table.headerSize : 0;
+        const itemTop = getItemTop.call(this, index) - headerSize,
+            itemHeight = getItemHeight.call(this, index),
+            viewHeight = getViewHeight.call(this),
+            scrollTop = getScrollTop.call(this);
+
+        let top;
+        switch (align) {
+            case "center":
+                top = itemTop + (headerSize + itemHeight - viewHeight) / 2;
+                break;
+            case "end":
+                top = itemTop + headerSize + itemHeight - viewHeight;
+                break;
+            case "nearest":
+                if (itemTop < scrollTop) top = itemTop;
+                else if (itemTop + headerSize + itemHeight > scrollTop + viewHeight) top = itemTop + headerSize + itemHeight - viewHeight;
+                else top = scrollTop;
+                break;
+            default:
+                top = itemTop;
+        }
+        top = Math.max(top, 0);
+
+        // Make sure the list is tall enough to scroll to the item.
+        stretchList.call(this, index);
+
+        setScrollTop.call(this, top, behavior);
+    }
+
+    /**
+     * Get the scroll position of the view relative to the top of the list.
+     * When the page or an ancestor scrolls, the position is negative while
+     * the list is below the top of the view.
+     *
+     * @returns {number} Scroll offset in pixels.
+     */
+    function getScrollTop() {
+        const scrollParent = this.__scrollParent,
+            axis = this.__axis;
+        if (scrollParent === this.element) return this.element[axis.scroll] * getScrollScale.call(this);
+
+        const viewTop = scrollParent === window ?
+            0 :
+            scrollParent.getBoundingClientRect()[axis.start] + scrollParent[axis.clientStart];
+        return viewTop - this.element.getBoundingClientRect()[axis.start] - this.element[axis.clientStart];
+    }
+
+    /**
+     * Scroll the view to the given position relative to the top of the list.
+     *
+     * @param {number} top Scroll offset in pixels.
+     * @param {string} behavior Scroll behavior, 'auto' or 'smooth'.
+     */
+    function setScrollTop(top, behavior) {
+        const scrollParent = this.__scrollParent,
+            axis = this.__axis;
+
+        // Scroll the parent by the distance the list has to move.
+        if (scrollParent !== this.element) {
+            const parentTop = scrollParent === window ? window[axis.pageOffset] : scrollParent[axis.scroll];
+            top = parentTop + top - getScrollTop.call(this);
+        } else {
+            top /= getScrollScale.call(this);
+        }
+
+        if (behavior === "smooth" && scrollParent.scrollTo) {
+            scrollParent.scrollTo({ [axis.start]: top, behavior });
+        } else if (scrollParent === window) {
+            if (axis === AXES.horizontal) window.scrollTo(top, window.pageYOffset);
+            else window.scrollTo(window.pageXOffset, top);
+        } else {
+            scrollParent[axis.scroll] = top;
+            // Move scaled items now instead of waiting for the scroll event.
+            if (this.__scaled) updateScaleShift.call(this);
+        }
+    }
+
+    /**
+     * Get the height of the scrolling view.
+     *
+     * @returns {number} Height in pixels.
+     */
+    function getViewHeight() {
+        const scrollParent = this.__scrollParent;
+        return scrollParent === window ?
+            document.documentElement[this.__axis.client] :
+            scrollParent[this.__axis.client];
+    }
+
+    /**
+     * Get the highest index of the items in DOM. It is kept up to date as
+     * items are added and only searched for again after it was removed.
+     *
+     * @returns {number} Ordinal index, or -1 if no items are in DOM.
+     */
+    function getLastLoadedIndex() {
+        if (this.__lastLoaded === null) {
+            let last = -1;
+            for (const index of this.__domElements) {
+                if (index > last) last = index;
+            }
+            this.__lastLoaded = last;
+        }
+        return this.__lastLoaded;
+    }
+
+    /**
+     * Get the current height of the list content.
+     *
+     * @returns {number} Height in pixels.
+     */
+    function getListHeight() {
+        if (this.__scaled) return this.__dummyTop;
+
+        return this.__scrollParent === this.element ?
+            this.element[this.__axis.scrollSize] :
+            this.element[this.__axis.offset];
+    }
+
+    /**
+     * Move the dummy element which stretches the list to the given height.
+     * A list taller than maxScrollHeight is scrolled in scaled coordinates:
+     * its physical height is capped and the scroll range maps proportionally
+     * onto the full height.
+     *
+     * @param {number} top Top offset of the dummy element.
+     */
+    function setDummyTop(top) {
+        const selfScrolling = this.__scrollParent === this.element;
+        // Only a list which scrolls by itself can be scaled; a list of
+        // unknown size in a scrolling page stops growing instead.
+        if (!selfScrolling && top > this.__maxScrollHeight) {
+            if (!this.__heightCapped)
+                warn(`List height ${top}px exceeds maxScrollHeight; the list is cut short as it does not scroll by itself`);
+            this.__heightCapped = true;
+            top = this.__maxScrollHeight;
+        }
+
+        const scale = getScrollScale.call(this);
+        const scrollTop = selfScrolling ? getScrollTop.call(this) : 0;
+
+        this.__dummyTop = top;
+        this.__scaled = selfScrolling && top > this.__maxScrollHeight;
+
+        this.__dummyElement.style[this.__axis.start] = `${this.__scaled ? this.__maxScrollHeight : top}px`;
+        if (!isElementVisible(this.__dummyElement))
+            this.element.appendChild(this.__dummyElement);
+        updateListHeight.call(this);
+
+        if (getScrollScale.call(this) === scale) return;
+
+        // The scale has changed; keep the view at the same offset of the list.
+        // Items loaded during a frame stretch the list one at a time, so the
+        // view is restored once when the frame is committed.
+        if (this.__scaledScrollTop === null) this.__scaledScrollTop = scrollTop;
+        if (!this.__fragment) restoreScaledView.call(this);
+    }
+
+    /**
+     * Only a list which scrolls by itself can be scaled; with scrollParent
+     * a list of the given size cannot be taller than maxScrollHeight.
+     *
+     * @param {number} size Count of items in the list.
+     */
+    function checkListSize(size) {
+        if (this.__scrollParent === this.element || !this.__childSize) return;
+
+        const height = getItemsEnd.call(this, size) + (this.__footer ? this.__footerSize : 0);
+        if (height > this.__maxScrollHeight)
+            throw Error(`List height ${height}px exceeds maxScrollHeight, which requires the list to scroll by itself instead of scrollParent`);
+    }
+
+    /**
+     * Scroll back to the offset of the list which was in view before the
+     * scale changed, and move the items to match.
+     */
+    function restoreScaledView() {
+        const scrollTop = this.__scaledScrollTop;
+        if (scrollTop === null) return;
+
+        this.__scaledScrollTop = null;
+        if (scrollTop) setScrollTop.call(this, scrollTop);
+        updateScaleShift.call(this);
+    }
+
+    /**
+     * In scaled coordinates the items are positioned relative to the view;
+     * move them when the distance between the physical and the list offsets
+     * has changed, i.e. the view has moved or the scale has changed.
+     */
+    function updateScaleShift() {
+        const shift = this.__scaled ? this.element[this.__axis.scroll] - getScrollTop.call(this) : 0;
+        if (shift === this.__scaleShift) return;
+
+        this.__scaleShift = shift;
+        repositionChildren.call(this);
+    }
+
+    /**
+     * Get the ratio of the list offsets to the physical scroll offsets,
+     * which is 1 unless the list is taller than maxScrollHeight.
+     *
+     * @returns {number} Scale of the scroll offset.
+     */
+    function getScrollScale() {
+        if (!this.__scaled) return 1;
+
+        const viewHeight = getViewHeight.call(this);
+        return Math.max(this.__dummyTop - viewHeight, 0) / Math.max(this.__maxScrollHeight - viewHeight, 1);
+    }
+
+    /**
+     * Convert an offset from the top of the list to the position of an
+     * element in the container. In scaled coordinates the elements are
+     * placed relative to the view, and have to be positioned again when the
+     * list is scrolled.
+     *
+     * @param {number} offset Offset in pixels from the top of the list.
+     * @returns {number} Position in pixels.
+     */
+    function toPhysicalOffset(offset) {
+        if (!this.__scaled) return offset;
+        return offset + this.__scaleShift;
+    }
+
+    /**
+     * When the page or an ancestor scrolls, the list is a block in normal
+     * flow; set its height to cover the stretched list and loaded items.
+     */
+    function updateListHeight() {
+        if (this.__scrollParent === this.element) return;
+
+        let height = this.__dummyTop;
+        if (this.__domElements.size) {
+            height = Math.max(height, getItemsEnd.call(this, getLastLoadedIndex.call(this) + 1));
+        }
+        height = Math.min(height, this.__maxScrollHeight);
+        this.element.style[this.__axis.size] = `${height}px`;
+    }
+
+    /**
+     * Set ARIA attributes and the roving tab index of a list item element.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @param {HTMLElement} elem List item DOM element.
+     */
+    function applyAriaAttributes(index, elem) {
+        elem.setAttribute("role", this.__itemRole);
+        if (this.__table) {
+            // Table rows are counted after the header row.
+            elem.setAttribute("aria-rowindex", index + (this.__columnHeader ? 2 : 1));
+        } else {
+            elem.setAttribute("aria-posinset", index + 1);
+            elem.setAttribute("aria-setsize", typeof this.__size === "number" ? this.__size : -1);
+        }
+
+        if (this.__keyboardNavigation) {
+            elem.tabIndex = index === this.__focusIndex ? 0 : -1;
+        }
+
+        applySelectionState.call(this, index, elem);
+    }
+
+    /**
+     * Mark a list item element selected or not selected.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @param {HTMLElement} elem List item DOM element.
+     */
+    function applySelectionState(index, elem) {
+        if (!this.__selectionMode) return;
+
+        const selected = this.__selection.has(index);
+        elem.classList.toggle("selected", selected);
+        elem.setAttribute("aria-selected", selected);
+    }
+
+    /**
+     * Replace the selection, update the rendered items and emit a
+     * selection change event if the selection changed.
+     *
+     * @param {Iterable} indices New selected indices.
+     */
+    function changeSelection(indices) {
+        const previous = this.__selection;
+        const selection = new Set(indices);
+        this.__selection = selection;
+
+        const changed = new Set();
+        for (const index of previous) if (!selection.has(index)) changed.add(index);
+        for (const index of selection) if (!previous.has(index)) changed.add(index);
+
+        // Selected items follow their keys even if they are not loaded.
+        for (const index of selection) rememberKey.call(this, index);
+        for (const index of previous) forgetKey.call(this, index);
+        if (!changed.size) return;
+
+        for (const index of changed) {
+            const elem = document.getElementById(getListItemId.call(this, index));
+            if (elem && this.__domElements.has(index)) applySelectionState.call(this, index, elem);
+        }
+
+        emit.call(this, EVENTS.SELECTION_CHANGE, { selection: this.getSelection() });
+    }
+
+    /**
+     * Select an item as if it was clicked, according to the selection mode.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @param {boolean} extend True if the selection is extended as a range (shift).
+     * @param {boolean} toggle True if the item is toggled (ctrl or meta).
+     */
+    function selectByUser(index, extend, toggle) {
+        const mode = this.__selectionMode;
+        const anchor = this.__selectionAnchor;
+
+        if (mode === "single") {
+            changeSelection.call(this, [index]);
+            this.__selectionAnchor = index;
+            return;
+        }
+
+        if (extend && typeof anchor === "number") {
+            const range = numRange(Math.min(anchor, index), Math.abs(anchor - index) + 1);
+            const keep = mode === "multi" || toggle ? Array.from(this.__selection) : [];
+            changeSelection.call(this, keep.concat(range));
+            return;
+        }
+
+        // Multi selection toggles items on click, range selection only
+        // with ctrl or meta pressed.
+        if (mode === "multi" || toggle) {
+            const selection = new Set(this.__selection);
+            if (selection.has(index)) selection.delete(index);
+            else selection.add(index);
+            changeSelection.call(this, selection);
+        } else {
+            changeSelection.call(this, [index]);
+        }
+        this.__selectionAnchor = index;
+    }
+
+    /**
+     * Move the roving tab index to the given item.
+     *
+     * @param {number} index Ordinal index in the list.
+     */
+    function setFocusIndex(index) {
+        if (!this.__keyboardNavigation) {
+            this.__focusIndex = index;
+            return;
+        }
+
+        const previous = document.getElementById(getListItemId.call(this, this.__focusIndex));
+        if (previous) previous.tabIndex = -1;
+
+        this.__focusIndex = index;
+        const current = document.getElementById(getListItemId.call(this, index));
+        if (current) current.tabIndex = 0;
+
+        // The container is the tab stop while the focused item is not in DOM.
+        this.element.tabIndex = current ? -1 : 0;
+    }
+
+    /**
+     * Handle keyboard navigation between list items.
+     *
+     * @param {KeyboardEvent} event Keydown event.
+     */
+    function onKeyDown(event) {
+        if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+        // Leave the keys to inputs, buttons etc. inside the items.
+        if (event.target !== this.element && event.target.parentNode !== this.element) return;
+
+        const range = this.__visibleRange;
+        const pageSize = range ? Math.max(range.last - range.first, 1) : 1;
+        const index = this.__focusIndex;
+
+        // Arrow keys along the scrolling axis move by a row, across it
+        // to the neighbouring item of a grid.
+        const axis = this.__axis,
+            columns = this.__columns;
+        let target;
+        switch (event.key) {
+            case axis.next:
+                target = index + columns;
+                break;
+            case axis.previous:
+                target = index - columns;
+                break;
+            case axis.crossNext:
+                if (columns === 1) return;
+                target = index + 1;
+                break;
+            case axis.crossPrevious:
+                if (columns === 1) return;
+                target = index - 1;
+                break;
+            case "PageDown":
+                target = index + pageSize;
+                break;
+            case "PageUp":
+                target = index - pageSize;
+                break;
+            case "Home":
+                target = 0;
+                break;
+            case "End":
+                if (typeof this.__size !== "number") return;
+                target = this.__size - 1;
+                break;
+            case " ":
+            case "Enter":
+                if (!this.__selectionMode || event.target.parentNode !== this.element) return;
+                if (!this.__domElements.has(index)) return;
+                event.preventDefault();
+                selectByUser.call(this, index, event.shiftKey, true);
+                return;
+            default:
+                return;
+        }
+
+        if (typeof this.__size === "number") {
+            target = Math.min(target, this.__size - 1);
+        }
+        target = Math.max(target, 0);
+
+        event.preventDefault();
+        this.focusIndex(target).catch(err => warn(err.message));
+
+        // Shift selects the range from the anchor to the focus as shift+click
+        // does: multi selection keeps the other selected items, range
+        // selection replaces them, so moving back towards the anchor shrinks it.
+        if (event.shiftKey && (this.__selectionMode === "multi" || this.__selectionMode === "range")) {
+            if (typeof this.__selectionAnchor !== "number") this.__selectionAnchor = index;
+            selectByUser.call(this, target, true, false);
+        }
+    }
+
+    /**
+     * Check whether the view is scrolled to the very top, where pulling
+     * the list down refreshes it.
+     *
+     * @returns {boolean} True if the list can be pulled.
+     */
+    function canPull() {
+        const scrollParent = this.__scrollParent;
+        if (scrollParent === window) return window.pageYOffset <= 0;
+        return scrollParent.scrollTop <= 0;
+    }
+
+    /**
+     * At the top of the list let the browser only pan sideways and down, so
+     * pulling down reaches the pointer listeners instead of being taken over
+     * by touch scrolling. Elsewhere the list pans as usual.
+     */
+    function updateTouchAction() {
+        const touchAction = canPull.call(this) ? "pan-x pan-down" : this.__pull.touchAction;
+        if (this.element.style.touchAction !== touchAction) this.element.style.touchAction = touchAction;
+    }
+
+    /**
+     * Start following a pointer which may pull the list down.
+     *
+     * @param {PointerEvent} event Pointerdown event.
+     */
+    function onPullStart(event) {
+        const pull = this.__pull;
+        pull.suppressClick = false;
+        if (pull.refreshing || pull.pointer || event.isPrimary === false || event.button > 0) return;
+        if (!canPull.call(this)) return;
+
+        pull.pointer = { id: event.pointerId, startY: event.clientY };
+    }
+
+    /**
+     * Pull the list down as the pointer moves, with resistance.
+     *
+     * @param {PointerEvent} event Pointermove event.
+     */
+    function onPullMove(event) {
+        const pull = this.__pull;
+        if (!pull.pointer || event.pointerId !== pull.pointer.id) return;
+
+        const delta = event.clientY - pull.pointer.startY;
+        if (!pull.distance) {
+            // Moving up scrolls the list as usual.
+            if (delta < 0) pull.pointer = null;
+            if (delta <= 0) return;
+
+            // Keep receiving the moves outside the list. Synthetic
+            // pointers can not be captured.
+            try {
+                if (this.element.setPointerCapture) this.element.setPointerCapture(event.pointerId);
+            } catch (err) {
+                // Not an active pointer.
+            }
+        }
+
+        pull.suppressClick = true;
+        setPullDistance.call(this, Math.max(delta, 0) / this.__pullResistance);
+        if (event.cancelable) event.preventDefault();
+    }
+
+    /**
+     * Refresh the list if it was pulled past the threshold when the
+     * pointer is released, otherwise let it go back.
+     *
+     * @param {PointerEvent} event Pointerup or pointercancel event.
+     */
+    function onPullEnd(event) {
+        const pull = this.__pull;
+        if (!pull.pointer || event.pointerId !== pull.pointer.id) return;
+
+        pull.pointer = null;
+        if (event.type === "pointerup" && pull.distance >= this.__pullThreshold) {
+            startRefresh.call(this);
+        } else {
+            setPullDistance.call(this, 0);
+        }
+    }
+
+    /**
+     * Move the pull indicator to the pulled distance, or remove it when
+     * the list is no longer pulled. The state of the indicator is set as
+     * its data-state attribute: 'pull', 'release' or 'refreshing'.
+     *
+     * @param {number} distance Pulled distance in pixels.
+     */
+    function setPullDistance(distance) {
+        const pull = this.__pull;
+        pull.distance = distance;
+
+        if (!distance) {
+            if (pull.indicator && pull.indicator.parentNode === this.element)
+                this.element.removeChild(pull.indicator);
+            return;
+        }
+
+        if (!pull.indicator) {
+            const elem = this.__pullIndicator ? this.__pullIndicator() : document.createElement("div");
+            if (!(elem instanceof HTMLElement))
+                throw Error(`${MODULE_NAME} pullIndicator returned non-HTMLElement result.`);
+            if (!this.__pullIndicator) elem.className = "pull-indicator";
+
+            elem.style.position = "absolute";
+            elem.style.margin = 0;
+            elem.style.left = 0;
+            elem.style.right = 0;
+            elem.style.height = `${this.__pullThreshold}px`;
+            pull.indicator = elem;
+        }
+
+        const elem = pull.indicator;
+        const threshold = this.__pullThreshold;
+        elem.setAttribute("data-state", pull.refreshing ? "refreshing" : distance >= threshold ? "release" : "pull");
+        elem.style.setProperty("--pull-progress", Math.min(distance / threshold, 1));
+        // The indicator slides in from above the view.
+        elem.style.top = `${Math.min(distance, threshold) - threshold}px`;
+        if (elem.parentNode !== this.element) this.element.appendChild(elem);
+    }
+
+    /**
+     * Call the refresh callback and update the list once it resolves.
+     */
+    function startRefresh() {
+        const pull = this.__pull;
+        pull.refreshing = true;
+        setPullDistance.call(this, this.__pullThreshold);
+        this.element.setAttribute("aria-busy", true);
+        emit.call(this, EVENTS.REFRESH_START);
+
+        // Only the latest refresh is applied; dispose aborts it.
+        const request = { controller: createAbortController() };
+        pull.request = request;
+
+        let result;
+        try {
+            result = this.__onRefresh(request.controller ? request.controller.signal : undefined);
+        } catch (err) {
+            result = Promise.reject(err);
+        }
+        Promise.resolve(result).then(
+            count => finishRefresh.call(this, request, count),
+            err => finishRefresh.call(this, request, undefined, err instanceof Error ? err : Error(err))
+        );
+    }
+
+    /**
+     * Insert the new items at the top of the list, or generate the loaded
+     * items again if the refresh callback did not resolve with a count.
+     *
+     * @param {Object} request Refresh request which settled.
+     * @param {*} count Count of new items at the top of the list.
+     * @param {Error} error Error if the refresh callback failed.
+     */
+    function finishRefresh(request, count, error) {
+        const pull = this.__pull;
+        if (pull.request !== request) return;
+
+        pull.request = null;
+        pull.refreshing = false;
+        this.element.removeAttribute("aria-busy");
+        setPullDistance.call(this, 0);
+
+        if (error) {
+            warn(`Refreshing failed: ${error.message}`);
+        } else if (Number.isInteger(count) && count >= 0) {
+            if (count) this.insertItems(0, count);
+        } else {
+            refreshLoadedItems.call(this);
+        }
+
+        emit.call(this, EVENTS.REFRESH_END, error ? { error } : { count });
+    }
+
+    /**
+     * Generate the loaded items again after the data has changed. Cached
+     * elements are dropped and generated again when they are needed.
+     */
+    function refreshLoadedItems() {
+        clearPrefetches.call(this);
+        this.__cache.clear();
+        this.__cachePolicy.clear();
+        for (const index of Array.from(this.__keys.keys())) forgetKey.call(this, index);
+        for (const index of Array.from(this.__domElements)) {
+            this.updateItem(index);
+        }
+        if (this.__errors.size) this.retry();
+    }
+
+    /**
+     * Validate section start indices passed to the list API.
+     *
+     * @param {number[]} sections Start indices in ascending order.
+     */
+    function validateSections(sections) {
+        if (!Array.isArray(sections)
+            || sections.some((e, i) => !Number.isInteger(e) || e < 0 || (i && e <= sections[i - 1])))
+            throw Error(`Invalid sections ${sections}`);
+    }
+
+    /**
+     * Validate an index passed to the list API.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @param {boolean} allowEnd If true, the index may point right after the last item.
+     */
+    function validateIndex(index, allowEnd) {
+        const max = typeof this.__size === "number" ?
+            (allowEnd ? this.__size : this.__size - 1) :
+            Infinity;
+        if (!Number.isInteger(index) || index < 0 || index > max)
+            throw Error(`Invalid index ${index}`);
+    }
+
+    /**
+     * Position and modify the generated child DOM element.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @param {HTMLElement} elem Generated DOM element.
+     * @param {boolean} inPlace If true the new object will replace old one.
+     */
+    function addChild(index, elem, inPlace) {
+        // Position the element absolutely according to its ordinal position.
+        elem.style.position = "absolute";
+        elem.style.margin = 0;
+        positionItem.call(this, index, elem);
+        elem.id = getListItemId.call(this, index);
+        applyAriaAttributes.call(this, index, elem);
+        this.__domPolicy.touch(index, elem);
+
+        if (this.__childSize && !this.__heightMap) {
+            elem.style[this.__axis.size] = `${this.__childSize}px`;
+        }
+
+        // The element being replaced may still wait in the frame's fragment.
+        const oldElement = inPlace ?
+            document.getElementById(elem.id) || (this.__fragment && this.__fragment.getElementById(elem.id)) :
+            null;
+        if (oldElement && oldElement !== elem) {
+            const hadFocus = oldElement === document.activeElement;
+            oldElement.parentNode.replaceChild(elem, oldElement);
+            if (hadFocus) elem.focus({ preventScroll: true });
+        } else if (this.__fragment) {
+            // Collect new elements into the fragment added at the end of the frame.
+            this.__fragment.appendChild(elem);
+        } else {
+            // Append the new child element to the containing div.
+            this.element.appendChild(elem);
+        }
+
+        if (this.__fragment && elem.parentNode === this.__fragment) {
+            this.__afterInsert.push([index, elem]);
+        } else {
+            onChildInserted.call(this, index, elem);
+        }
+    }
+
+    /**
+     * Set the offset of a list item element along the scrolling axis and
+     * its column in a grid.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @param {HTMLElement} elem List item or temporary DOM element.
+     */
+    function positionItem(index, elem) {
+        const axis = this.__axis,
+            columns = this.__columns;
+
+        let top = toPhysicalOffset.call(this, getItemTop.call(this, index));
+        // In scaled coordinates items far from the view are parked above the
+        // list until they are removed, so they do not stretch it.
+        if (this.__scaled && top > this.__maxScrollHeight - getItemHeight.call(this, index)) {
+            top = -getItemHeight.call(this, index);
+        }
+        elem.style[axis.start] = `${top}px`;
+
+        // Table rows are as wide as all of the columns.
+        if (this.__table) {
+            elem.style.left = 0;
+            elem.style.right = "";
+            elem.style.width = `${this.__table.offsets[this.__table.widths.length]}px`;
+            return;
+        }
+
+        if (columns === 1) {
+            elem.style[axis.crossStart] = 0;
+            elem.style[axis.crossEnd] = 0;
+            elem.style[axis.crossSize] = "";
+            return;
+        }
+
+        // Columns share the width of the container evenly.
+        elem.style[axis.crossStart] = `${(index % columns) * 100 / columns}%`;
+        elem.style[axis.crossEnd] = "";
+        elem.style[axis.crossSize] = `${100 / columns}%`;
+    }
+
+    /**
+     * Finish adding a list item once it is in DOM: measure it, stretch the
+     * list and notify listeners.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @param {HTMLElement} elem List item DOM element.
+     */
+    function onChildInserted(index, elem) {
+        // The item may have been replaced or removed before it was added to DOM.
+        if (elem.parentNode !== this.element) return;
+
+        // If no child size is provided by the user,
+        // size is calculated ad-hoc here from the first loaded
+        // element.
+        if (!this.__childSize) {
+            this.__childSize = elem[this.__axis.scrollSize];
+            if (!this.__footerSize) this.__footerSize = this.__childSize;
+            if (this.__heightMap) this.__heightMap.setEstimate(this.__childSize);
+            this.__treshold = calculateTreshold.call(this);
+            recalculateHeights.call(this);
+            scheduleInvalidate.call(this);
+
+            if (this.__fixedSize) {
+                positionDummyElement.call(this);
+            }
+        }
+
+        if (this.__heightMap) {
+            measureChild.call(this, index, elem);
+        }
+
+        // A row from cache or generated earlier may lack the columns now in view.
+        if (this.__table) {
+            updateRowCells.call(this, elem);
+        }
+
+        const finalElement = index === (this.__size - 1);
+        if (finalElement) {
+            if (this.__finalElement && this.__finalElement !== elem) {
+                this.__finalElement.classList.remove("last-of-list");
+            }
+            elem.classList.add("last-of-list");
+            this.__finalElement = elem;
+        }
+
+        stretchList.call(this, index);
+        updateFooter.call(this);
+
+        emit.call(this, EVENTS.ITEM_RENDERED, { index, element: elem });
+
+        // Resolve pending scrollToIndex calls waiting for this item.
+        const waiters = this.__itemWaiters.get(index);
+        if (waiters) {
+            this.__itemWaiters.delete(index);
+            for (const waiter of waiters) waiter.resolve(elem);
+        }
+    }
+
+    /**
+     * Measure the real height of a variable height list item after it has
+     * been added to DOM. If the height differs from the previous measurement
+     * or estimate, the items below it are moved when the measuring finishes.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @param {HTMLElement} elem List item DOM element.
+     */
+    function measureChild(index, elem) {
+        const batch = this.__measureBatch;
+        if (!batch) {
+            startMeasure.call(this, [elem]);
+            measureChild.call(this, index, elem);
+            finishMeasure.call(this);
+            return;
+        }
+
+        const height = batch.heights.has(elem) ? batch.heights.get(elem) : elem[this.__axis.offset];
+        if (!height) return;
+
+        const delta = this.__heightMap.set(index, height);
+        if (!delta) return;
+
+        // Keep the visible content in place if the item is above the view.
+        if (getItemTop.call(this, index) < batch.scrollTop + batch.scrollDelta) {
+            batch.scrollDelta += delta;
+        }
+        batch.fromIndex = Math.min(batch.fromIndex, index + 1);
+    }
+
+    /**
+     * Read the heights of the given list items at once, before measuring
+     * them moves any items, so the browser calculates the layout only once.
+     *
+     * @param {HTMLElement[]} elems List item DOM elements about to be measured.
+     */
+    function startMeasure(elems) {
+        const heights = new Map();
+        for (const elem of elems) {
+            if (elem.parentNode === this.element) heights.set(elem, elem[this.__axis.offset]);
+        }
+        this.__measureBatch = { heights, scrollTop: getScrollTop.call(this), scrollDelta: 0, fromIndex: Infinity };
+    }
+
+    /**
+     * Move the items below the measured items which changed height, once
+     * for all of them, and keep the visible content in place.
+     */
+    function finishMeasure() {
+        const batch = this.__measureBatch;
+        this.__measureBatch = null;
+        if (!batch || batch.fromIndex === Infinity) return;
+
+        if (isStuckToBottom.call(this)) {
+            scrollToBottom.call(this);
+        } else if (batch.scrollDelta) {
+            setScrollTop.call(this, batch.scrollTop + batch.scrollDelta);
+        }
+
+        repositionChildren.call(this, batch.fromIndex);
+
+        if (this.__fixedSize) {
+            positionDummyElement.call(this);
+        }
+
+        // The visible range may have changed with the new heights.
+        scheduleInvalidate.call(this);
+    }
+
+    /**
+     * Update the top offset of loaded list items after the layout has changed.
+     *
+     * @param {number} fromIndex Only items from this index onwards are moved.
+     */
+    function repositionChildren(fromIndex = 0) {
+        for (const domElement of this.__domElements) {
+            if (domElement < fromIndex) continue;
+            const identifier = getListItemId.call(this, domElement);
+            const elem = document.getElementById(identifier);
+            if (elem) {
+                positionItem.call(this, domElement, elem);
+            }
+        }
+
+        for (const [index, elem] of this.__slots) {
+            if (index >= fromIndex) positionItem.call(this, index, elem);
+        }
+
+        positionHeaders.call(this, getScrollTop.call(this));
+        updateFooter.call(this);
+        updateListHeight.call(this);
+    }
+
+    /**
+     * Move loaded, cached and pending list items to new indices after items
+     * have been inserted, removed or moved in the underlying data. Items
+     * mapped to -1 are dropped. The first visible item is kept in place
+     * unless the whole list is reordered.
+     *
+     * @param {function} mapIndex Maps an old index to the new one, or to -1.
+     * @param {number} newSize New size of the list, if the size is known.
+     * @param {number} movedIndex Index of an item moved elsewhere, never kept in place.
+     * @param {boolean} reorder If true, the scroll position is kept instead of the first visible item.
+     */
+    function remapIndices(mapIndex, newSize, movedIndex, reorder) {
+        const scrollTop = getScrollTop.call(this);
+        let anchor = this.__childSize && !reorder ? getIndexAt.call(this, scrollTop) : -1;
+        let anchorOffset = anchor === -1 ? 0 : scrollTop - getItemTop.call(this, anchor);
+        if (anchor !== -1 && anchor === movedIndex) {
+            anchorOffset -= getItemHeight.call(this, anchor);
+            anchor++;
+        }
+
+        // Collect the DOM elements before changing any ids so they don't collide.
+        const elements = new Map();
+        for (const domElement of this.__domElements) {
+            const elem = document.getElementById(getListItemId.call(this, domElement));
+            if (elem) elements.set(domElement, elem);
+        }
+
+        if (this.__finalElement) {
+            this.__finalElement.classList.remove("last-of-list");
+            this.__finalElement = null;
+        }
+
+        const oldSize = this.__size;
+        if (typeof newSize === "number") {
+            this.__size = newSize;
+            updateRowCount.call(this);
+        }
+
+        const remapList = list => list.map(mapIndex).filter(e => e !== -1);
+
+        // Prefetched rows may no longer be at their index.
+        clearPrefetches.call(this);
+
+        // Selection follows the items; removed items are deselected.
+        const selection = remapList(Array.from(this.__selection));
+        const selectionChanged = selection.length !== this.__selection.size;
+        this.__selection = new Set(selection);
+        if (typeof this.__selectionAnchor === "number") {
+            const anchorIndex = mapIndex(this.__selectionAnchor);
+            this.__selectionAnchor = anchorIndex === -1 ? null : anchorIndex;
+        }
+        if (selectionChanged) {
+            emit.call(this, EVENTS.SELECTION_CHANGE, { selection: this.getSelection() });
+        }
+
+        // Keep the focus on the same item, or the nearest one if it was removed.
+        const focusIndex = mapIndex(this.__focusIndex);
+        this.__focusIndex = focusIndex !== -1 ?
+            focusIndex :
+            Math.max(Math.min(this.__focusIndex, (this.__size || 1) - 1), 0);
+
+        if (this.__heightMap) this.__heightMap.remap(mapIndex);
+
+        // Move the sections along with their items.
+        if (this.__sections) {
+            this.__sections = remapSections(this.__sections, mapIndex, oldSize);
+        }
+
+        const domElements = new Set();
+        for (const [oldIndex, elem] of elements) {
+            const newIndex = mapIndex(oldIndex);
+            if (newIndex === -1) {
+                this.element.removeChild(elem);
+                emit.call(this, EVENTS.ITEM_EVICTED, { index: oldIndex, element: elem });
+                recycleElement.call(this, oldIndex, elem);
+                continue;
+            }
+
+            domElements.add(newIndex);
+            elem.id = getListItemId.call(this, newIndex);
+            positionItem.call(this, newIndex, elem);
+            applyAriaAttributes.call(this, newIndex, elem);
+
+            if (newIndex === this.__size - 1) {
+                elem.classList.add("last-of-list");
+                this.__finalElement = elem;
+            }
+        }
+        this.__domElements = domElements;
+        this.__lastLoaded = null;
+
+        // Move temporary slot elements and error states along with their items.
+        const slots = new Map();
+        for (const [oldIndex, elem] of this.__slots) {
+            const newIndex = mapIndex(oldIndex);
+            if (newIndex === -1) {
+                if (elem.parentNode === this.element) this.element.removeChild(elem);
+                continue;
+            }
+
+            slots.set(newIndex, elem);
+            elem.id = getListItemId.call(this, newIndex);
+            positionItem.call(this, newIndex, elem);
+        }
+        this.__slots = slots;
+
+        for (const [oldIndex, state] of this.__errors) {
+            state.index = mapIndex(oldIndex);
+            if (state.index === -1) clearTimeout(state.timeout);
+        }
+        this.__errors = remapKeys(this.__errors, mapIndex);
+        this.__footerStale = true;
+
+        this.__inView = new Set(remapList(Array.from(this.__inView)));
+        this.__cache = remapKeys(this.__cache, mapIndex);
+        remapPolicy(this.__domPolicy, mapIndex, e => document.getElementById(getListItemId.call(this, e)));
+        remapPolicy(this.__cachePolicy, mapIndex, e => this.__cache.get(e));
+        this.__updateRequests = remapKeys(this.__updateRequests, mapIndex);
+        this.__itemData = remapKeys(this.__itemData, mapIndex);
+        this.__keys = remapKeys(this.__keys, mapIndex);
+
+        // Items waited for by scrollToIndex may have been removed.
+        for (const [oldIndex, waiters] of this.__itemWaiters) {
+            if (mapIndex(oldIndex) !== -1) continue;
+            for (const waiter of waiters) waiter.reject(Error(`Item ${oldIndex} was removed`));
+        }
+        this.__itemWaiters = remapKeys(this.__itemWaiters, mapIndex);
+
+        // Pending queries resolve to the new index of their ticket.
+        const queries = new Map();
+        for (const [oldIndex, ticket] of this.__queries) {
+            ticket.index = mapIndex(oldIndex);
+            if (ticket.index !== -1) queries.set(ticket.index, ticket);
+            else releaseTicket(ticket);
+        }
+        this.__queries = queries;
+
+        // Fit the scroll height to the new layout.
+        if (this.__fixedSize) {
+            positionDummyElement.call(this);
+        } else if (typeof this.__size === "number"
+            && this.__currentScrollHeight > getListEnd.call(this)) {
+            this.__currentScrollHeight = getListEnd.call(this);
+            setDummyTop.call(this, this.__currentScrollHeight);
+        }
+        if (this.__domElements.size) {
+            stretchList.call(this, getLastLoadedIndex.call(this));
+        }
+        updateListHeight.call(this);
+
+        const newAnchor = anchor === -1 ? -1 : mapIndex(anchor);
+        if (isStuckToBottom.call(this)) {
+            scrollToBottom.call(this);
+        } else if (newAnchor !== -1) {
+            setScrollTop.call(this, getItemTop.call(this, newAnchor) + anchorOffset);
+        }
+
+        this.invalidate();
+    }
+
+    /**
+     * Get boolean value indicating whether the list should follow its
+     * bottom edge as it grows.
+     */
+    function isStuckToBottom() {
+        return !!(this.__stickToBottom && this.__atBottom);
+    }
+
+    /**
+     * Scroll to the bottom of the list, stretching the list to full
+     * height first if it is not of fixed size.
+     */
+    function scrollToBottom() {
+        if (typeof this.__size !== "number") {
+            setScrollTop.call(this, Math.max(getListHeight.call(this) - getViewHeight.call(this), 0));
+            return;
+        }
+
+        const listHeight = getListEnd.call(this);
+        stretchListTo.call(this, listHeight);
+
+        setScrollTop.call(this, Math.max(listHeight - getViewHeight.call(this), 0));
+    }
+
+    /**
+     * In dynamic sized list, make sure the list is at least of the given
+     * height so it can be scrolled there before the items are loaded.
+     *
+     * @param {number} height Required scroll height in pixels.
+     */
+    function stretchListTo(height) {
+        if (this.__fixedSize || this.__currentScrollHeight >= height) return;
+
+        this.__currentScrollHeight = height;
+        setDummyTop.call(this, height);
+    }
+
+    /**
+     * Apply a state returned by getState() to the list.
+     *
+     * @param {Object} state Saved list state.
+     */
+    function applyState(state) {
+        if (!state || typeof state !== "object")
+            throw Error(`Invalid state ${state}`);
+
+        // Items beyond the restored size are removed as by updateSize.
+        if (typeof state.size === "number") {
+            this.updateSize(state.size);
+        }
+
+        // Use the measured size so the first element needn't be measured again.
+        if (!this.__childSize && state.childSize) {
+            this.__childSize = state.childSize;
+            this.__treshold = calculateTreshold.call(this);
+            if (this.__heightMap) this.__heightMap.setEstimate(state.childSize);
+        }
+
+        if (this.__heightMap && state.heights) {
+            for (const [index, height] of state.heights) {
+                this.__heightMap.set(index, height);
+            }
+        }
+
+        // Restore the position relative to the first visible item, falling
+        // back to the plain scroll offset.
+        let scrollTop = state.scrollTop || 0;
+        if (this.__childSize && typeof state.firstIndex === "number") {
+            scrollTop = getItemTop.call(this, state.firstIndex) + (state.firstOffset || 0);
+        }
+
+        positionDummyElement.call(this);
+        stretchListTo.call(this, scrollTop + getViewHeight.call(this));
+        setScrollTop.call(this, scrollTop);
+        this.__lastScrollTop = scrollTop;
+    }
+
+    /**
+     * Move section start indices along with their first items. If the first
+     * item of a section is removed, the section starts from the next item.
+     *
+     * @param {number[]} sections Section start indices.
+     * @param {function} mapIndex Maps an old index to the new one, or to -1.
+     * @param {number} oldSize Size of the list before the change, if known.
+     * @returns {number[]} New section start indices.
+     */
+    function remapSections(sections, mapIndex, oldSize) {
+        const result = new Set();
+        for (let s = 0; s < sections.length; s++) {
+            const end = s + 1 < sections.length ?
+                sections[s + 1] :
+                (typeof oldSize === "number" ? oldSize : sections[s] + 1);
+
+            let start = -1;
+            for (let i = sections[s]; i < end && start === -1; i++) {
+                start = mapIndex(i);
+            }
+            if (start !== -1) result.add(start);
+        }
+
+        return Array.from(result).sort((a, b) => a - b);
+    }
+
+    /**
+     * Record the key of an item when it is loaded so it can be found after
+     * the order of the data has changed.
+     *
+     * @param {number} index Ordinal index in the list.
+     */
+    function rememberKey(index) {
+        if (this.__getKey) this.__keys.set(index, this.__getKey(index));
+    }
+
+    /**
+     * Forget the key of an item once it is no longer loaded, cached or
+     * selected.
+     *
+     * @param {number} index Ordinal index in the list.
+     */
+    function forgetKey(index) {
+        if (this.__domElements.has(index) || this.__cache.has(index) || this.__selection.has(index)) return;
+        this.__keys.delete(index);
+    }
+
+    /**
+     * Create a copy of a map keyed by list item indices with new indices.
+     *
+     * @param {Map} map Map keyed by list item index.
+     * @param {function} mapIndex Maps an old index to the new one, or to -1.
+     * @returns {Map} New map.
+     */
+    function remapKeys(map, mapIndex) {
+        const result = new Map();
+        for (const [key, value] of map) {
+            const newKey = mapIndex(key);
+            if (newKey !== -1) result.set(newKey, value);
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the index of the list item at the given offset.
+     *
+     * @param {number} offset Offset in pixels from the top of the list.
+     * @returns {number} Ordinal index in the list.
+     */
+    function getIndexAt(offset) {
+        if (this.__sections && this.__sections.length) {
+            // Find the last section starting above the offset and look up
+            // the item without the headers above it.
+            const section = Math.max(findSection(this.__sections.length, s =>
+                getSectionTop.call(this, s) <= offset), 0);
+            const index = getBaseIndexAt.call(this,
+                offset - (section + 1) * this.__headerSize);
+            return Math.max(index, this.__sections[section]);
+        }
+
+        if (this.__table) offset -= this.__table.headerSize;
+
+        return getBaseIndexAt.call(this, offset);
+    }
+
+    /**
+     * Get the index of the list item at the given offset, ignoring headers.
+     *
+     * @param {number} offset Offset in pixels from the top of the list.
+     * @returns {number} Ordinal index in the list.
+     */
+    function getBaseIndexAt(offset) {
+        offset = Math.max(offset, 0);
+        if (this.__heightMap) return this.__heightMap.indexAt(offset);
+        // The first item of the row at the offset.
+        return ((offset / this.__childSize) >>> 0) * this.__columns;
+    }
+
+    /**
+     * Binary search for the last section satisfying a predicate which
+     * holds for a prefix of the sections.
+     *
+     * @param {number} count Count of sections.
+     * @param {function} predicate Test for a section index.
+     * @returns {number} Last section index for which the predicate holds, or -1.
+     */
+    function findSection(count, predicate) {
+        let low = 0, high = count - 1, result = -1;
+        while (low <= high) {
+            const middle = (low + high) >>> 1;
+            if (predicate(middle)) {
+                result = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the section which contains the given item.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @returns {number} Section index, or -1 if the item is before the first section.
+     */
+    function getSectionOf(index) {
+        const sections = this.__sections;
+        return findSection(sections.length, s => sections[s] <= index);
+    }
+
+    /**
+     * Get the top offset of a section header in pixels.
+     *
+     * @param {number} section Section index.
+     * @returns {number} Top offset of the header.
+     */
+    function getSectionTop(section) {
+        const firstIndex = this.__sections[section];
+        const top = this.__heightMap ?
+            this.__heightMap.offsetOf(firstIndex) :
+            firstIndex * this.__childSize;
+        return top + section * this.__headerSize;
+    }
+
+    /**
+     * Add headers of the sections overlapping the loaded items to DOM and
+     * remove the headers of other sections.
+     *
+     * @param {number[]} elementsInView Indices of the loaded items.
+     * @param {number} scrollTop Container view scrollTop.
+     */
+    function renderHeaders(elementsInView, scrollTop) {
+        if (!this.__sections || !this.__headerGenerator) return;
+
+        const visible = new Set();
+        if (elementsInView.length && this.__size !== 0) {
+            const first = Math.max(getSectionOf.call(this, elementsInView[0]), 0);
+            const last = getSectionOf.call(this, elementsInView[elementsInView.length - 1]);
+            for (let section = first; section <= last; section++) visible.add(section);
+        }
+
+        for (const [section, elem] of Array.from(this.__headers)) {
+            if (visible.has(section)) continue;
+            this.__headers.delete(section);
+            if (elem.parentNode === this.element) this.element.removeChild(elem);
+        }
+
+        for (const section of visible) {
+            if (this.__headers.has(section)) continue;
+
+            const elem = this.__headerGenerator(section, this.__sections[section]);
+            if (!(elem instanceof HTMLElement))
+                throw Error(`${MODULE_NAME} headerGenerator returned non-HTMLElement result.`);
+
+            const axis = this.__axis;
+            elem.style.position = "absolute";
+            elem.style.margin = 0;
+            elem.style[axis.crossStart] = 0;
+            elem.style[axis.crossEnd] = 0;
+            elem.style[axis.size] = `${this.__headerSize}px`;
+            elem.style.zIndex = 1;
+            elem.id = `__${MODULE_NAME}_${this.__uniqueIdentifier}_header_${section}`;
+            this.element.appendChild(elem);
+            this.__headers.set(section, elem);
+        }
+
+        positionHeaders.call(this, scrollTop);
+    }
+
+    /**
+     * Position the rendered section headers. The header of the section at
+     * the top of the view sticks to the top until the next header pushes
+     * it out.
+     *
+     * @param {number} scrollTop Container view scrollTop.
+     */
+    function positionHeaders(scrollTop) {
+        if (!this.__headers.size) return;
+
+        const current = getSectionOf.call(this, getIndexAt.call(this, scrollTop));
+        for (const [section, elem] of this.__headers) {
+            let top = getSectionTop.call(this, section);
+            if (section === current) {
+                const nextTop = section + 1 < this.__sections.length ?
+                    getSectionTop.call(this, section + 1) :
+                    Infinity;
+                top = Math.max(top, Math.min(scrollTop, nextTop - this.__headerSize));
+            }
+
+            elem.style[this.__axis.start] = `${toPhysicalOffset.call(this, top)}px`;
+            elem.classList.toggle("sticky", section === current && top !== getSectionTop.call(this, section));
+        }
+    }
+
+    /**
+     * Get the top offset of a list item in pixels.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @returns {number} Top offset of the item.
+     */
+    function getItemTop(index) {
+        const top = this.__heightMap ?
+            this.__heightMap.offsetOf(index) :
+            Math.floor(index / this.__columns) * this.__childSize;
+
+        // Headers of the sections starting at or before the item push it down.
+        if (this.__sections) {
+            return top + (getSectionOf.call(this, index) + 1) * this.__headerSize;
+        }
+
+        // The header row of a table is above the first row.
+        if (this.__table) {
+            return top + this.__table.headerSize;
+        }
+
+        return top;
+    }
+
+    /**
+     * Get the offset right after the given count of first items, i.e. the
+     * bottom of the row of the last of them.
+     *
+     * @param {number} count Count of items.
+     * @returns {number} Offset in pixels.
+     */
+    function getItemsEnd(count) {
+        if (this.__columns === 1 || !count) return getItemTop.call(this, count);
+        return getItemTop.call(this, count - 1) + this.__childSize;
+    }
+
+    /**
+     * Get the offset of the end of a list of known size, below the footer.
+     *
+     * @returns {number} Offset in pixels.
+     */
+    function getListEnd() {
+        return getItemsEnd.call(this, this.__size) + (this.__footer ? this.__footerSize : 0);
+    }
+
+    /**
+     * Get the height of a single list item in pixels, measured or estimated.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @returns {number} Height of the item.
+     */
+    function getItemHeight(index) {
+        if (this.__heightMap) return this.__heightMap.get(index);
+        return this.__childSize;
+    }
+
+    /**
+     * In dynamic sized list, stretch the list DOM element below the last
+     * existing element so new elements can be generated when scrolling below it.
+     * 
+     * @param {number} index Last generated item index.
+     */
+    function stretchList(index) {
+        if (this.__fixedSize || !this.__childSize) return;
+
+        // A list of unknown length grows as its items are loaded, with room
+        // for the footer below them.
+        if (typeof this.__size !== "number") {
+            stretchListTo.call(this, getItemsEnd.call(this, index + 1) + (this.__footer ? this.__footerSize : 0));
+            return;
+        }
+
+        const childTop = getItemTop.call(this, index);
+
+        // Stretch the view below last loaded element if not the last element.
+        const finalElement = index === (this.__size - 1);
+
+        if (!finalElement || this.__footer) {
+            // const currentScrollHeight = this.element.scrollHeight;
+            const currentScrollHeight = this.__currentScrollHeight;
+            const maxScrollHeight = getListEnd.call(this);
+            const newDummyTop = childTop + getItemHeight.call(this, index) * 5;
+            if (newDummyTop > currentScrollHeight) {
+                const dummyTop = Math.min(maxScrollHeight, newDummyTop);
+                this.__currentScrollHeight = dummyTop;
+                setDummyTop.call(this, dummyTop);
+            }
+        }
+    }
+
+    /**
+     * Show the footer after the last loaded item, or after the last item if
+     * the size of the list is known. The footer is created again when its
+     * state changes: 'loading' while more items may follow, 'error' if
+     * loading the items after the last one failed and 'end' at the end.
+     */
+    function updateFooter() {
+        if (!this.__footer || !this.__childSize) return;
+
+        const sizeKnown = typeof this.__size === "number";
+        const last = getLastLoadedIndex.call(this);
+        let state = this.__footerState;
+        if (sizeKnown) {
+            state = "end";
+        } else if (this.__footerStale || last !== this.__footerLast || state === "end" || !state) {
+            // Failures are only searched again when they or the loaded items change.
+            state = Array.from(this.__errors.values()).some(e => e.index > last && e.waiting && !e.timeout) ?
+                "error" :
+                "loading";
+        }
+        this.__footerStale = false;
+        this.__footerLast = last;
+
+        const axis = this.__axis;
+        if (state !== this.__footerState || !this.__footerElement) {
+            const elem = this.__footer(state);
+            if (!(elem instanceof HTMLElement))
+                throw Error(`${MODULE_NAME} footer returned non-HTMLElement result.`);
+
+            elem.style.position = "absolute";
+            elem.style.margin = 0;
+            elem.style[axis.crossStart] = 0;
+            elem.style[axis.crossEnd] = 0;
+            elem.style[axis.size] = `${this.__footerSize}px`;
+
+            const oldElement = this.__footerElement;
+            if (oldElement && oldElement.parentNode === this.element) {
+                this.element.replaceChild(elem, oldElement);
+            } else {
+                this.element.appendChild(elem);
+            }
+            this.__footerElement = elem;
+            this.__footerState = state;
+            this.__footerTop = null;
+        }
+
+        const top = getItemsEnd.call(this, sizeKnown ? this.__size : last + 1);
+        const physicalTop = toPhysicalOffset.call(this, top);
+        if (physicalTop === this.__footerTop) return;
+
+        this.__footerTop = physicalTop;
+        this.__footerElement.style[axis.start] = `${physicalTop}px`;
+        if (!sizeKnown) stretchListTo.call(this, top + this.__footerSize);
+    }
+
+    /**
+     * Remove the footer element, e.g. when the list is reloaded.
+     */
+    function removeFooter() {
+        const elem = this.__footerElement;
+        if (elem && elem.parentNode === this.element) this.element.removeChild(elem);
+        this.__footerElement = null;
+        this.__footerState = null;
+        this.__footerTop = null;
+    }
+
+    /**
+     * The generator has signalled that the data ends before the given index;
+     * lock the size of the list there.
+     *
+     * @param {number} index Ordinal index of the first item past the end.
+     */
+    function onEndOfData(index) {
+        this.__queries.delete(index);
+        removeSlotElement.call(this, index);
+
+        const sizeKnown = typeof this.__size === "number";
+        if (sizeKnown && this.__size <= index) return;
+
+        // The list is of unknown length again when reloaded, also when an
+        // earlier end of data has set its size.
+        const sizeFromEnd = this.__sizeFromEnd || !sizeKnown;
+        this.updateSize(index);
+        this.__sizeFromEnd = sizeFromEnd;
+
+        emit.call(this, EVENTS.END, { size: index });
+    }
+
+    /**
+     * Calculate treshold value from configuration.
+     */
+    function calculateTreshold() {
+        return this.__tresholdFactor * this.__childSize;
+    }
+
+    /**
+     * After fixedSize is updated, this function will update
+     * existing DOM elements already loaded to page.
+     */
+    function recalculateHeights() {
+        // Variable height items keep their own height.
+        if (this.__heightMap) {
+            repositionChildren.call(this);
+            return;
+        }
+
+        for (const domElement of this.__domElements) {
+            const identifier = getListItemId.call(this, domElement);
+            const elem = document.getElementById(identifier);
+            if (elem) {
+                elem.style[this.__axis.size] = `${this.__childSize}px`;
+            }
+        }
+    }
+
+    /**
+     * In fixed size list, position dummy element to the end of the virtual list.
+     */
+    function positionDummyElement() {
+        // Position dummy element to stretch the container to full height on load.
+        if (!this.__fixedSize) return;
+
+        setDummyTop.call(this, getListEnd.call(this));
+    }
+
+    /**
+     * Recalculate the count of grid columns from the container width and
+     * lay the loaded items out again if it has changed. The first visible
+     * row is kept in view.
+     */
+    function updateColumns() {
+        if (!this.__columnWidth) return;
+
+        const width = this.element[this.__axis.crossClient];
+        // A hidden container has no width to lay the columns out by.
+        if (!width) return;
+
+        const columns = Math.max(Math.floor(width / this.__columnWidth), 1);
+        if (columns === this.__columns) return;
+
+        const anchor = this.__childSize ? getIndexAt.call(this, getScrollTop.call(this)) : 0;
+        this.__columns = columns;
+
+        repositionChildren.call(this);
+        if (this.__fixedSize) {
+            positionDummyElement.call(this);
+        } else {
+            this.__currentScrollHeight = 0;
+            setDummyTop.call(this, 0);
+            if (this.__domElements.size) stretchList.call(this, getLastLoadedIndex.call(this));
+        }
+
+        if (this.__childSize && getScrollTop.call(this) > 0) {
+            setScrollTop.call(this, getItemTop.call(this, anchor));
+        }
+    }
+
+    /**
+     * Get the table columns in view or inside the treshold, frozen columns first.
+     *
+     * @returns {number[]} Column indices.
+     */
+    function getTableColumnsInView() {
+        const table = this.__table,
+            offsets = table.offsets,
+            count = table.widths.length;
+
+        // The treshold is measured in average column widths.
+        const treshold = this.__tresholdFactor * offsets[count] / count,
+            left = this.element.scrollLeft + offsets[table.frozen] - treshold,
+            right = this.element.scrollLeft + this.element.clientWidth + treshold;
+
+        const columns = numRange(0, table.frozen);
+        for (let column = table.frozen; column < count && offsets[column] < right; column++) {
+            if (offsets[column + 1] > left) columns.push(column);
+        }
+
+        return columns;
+    }
+
+    /**
+     * Recalculate the table columns in view and update the cells of the
+     * loaded rows and the header row if they have changed.
+     */
+    function updateTableColumns() {
+        const table = this.__table;
+        const columns = getTableColumnsInView.call(this);
+        const previous = table.columns;
+        if (previous && previous.length === columns.length && previous.every((e, i) => e === columns[i])) return;
+        table.columns = columns;
+
+        if (this.__columnHeader && !table.header) {
+            const header = document.createElement("div");
+            header.className = "table-header";
+            header.setAttribute("role", "row");
+            header.setAttribute("aria-rowindex", 1);
+            // The header is the only child in the flow of the container, at
+            // its top, and sticks there as the list scrolls.
+            header.style.position = "sticky";
+            header.style.margin = 0;
+            header.style.top = 0;
+            header.style.width = `${table.offsets[table.widths.length]}px`;
+            header.style.height = `${table.headerSize}px`;
+            header.style.zIndex = 2;
+            this.__rowCells.set(header, { cells: new Map(), cache: new Map(), pending: new Set(), frozenLayer: null });
+            this.element.appendChild(header);
+            table.header = header;
+        }
+        if (table.header) updateRowCells.call(this, table.header);
+
+        for (const domElement of this.__domElements) {
+            const row = document.getElementById(getListItemId.call(this, domElement));
+            if (row) updateRowCells.call(this, row);
+        }
+    }
+
+    /**
+     * Build a table row element from the generated cells.
+     *
+     * @param {HTMLElement[]} cells Cell elements in the order of the columns.
+     * @param {number[]} columns Column indices of the cells.
+     * @returns {HTMLElement} Row element.
+     */
+    function createTableRow(cells, columns) {
+        const row = document.createElement("div");
+        this.__rowCells.set(row, { cells: new Map(), cache: new Map(), pending: new Set(), frozenLayer: null });
+        addTableCells.call(this, row, cells, columns);
+        return row;
+    }
+
+    /**
+     * Position cells of the given columns in a table row, replacing earlier
+     * cells of the same columns.
+     *
+     * @param {HTMLElement} row Row element.
+     * @param {HTMLElement[]} cells Cell elements in the order of the columns.
+     * @param {number[]} columns Column indices of the cells.
+     */
+    function addTableCells(row, cells, columns) {
+        if (!Array.isArray(cells))
+            throw Error(`${MODULE_NAME} generator must resolve with an array of cells in table mode.`);
+
+        const table = this.__table,
+            state = this.__rowCells.get(row),
+            role = row === table.header ? "columnheader" : "cell";
+        columns.forEach((column, i) => {
+            const cell = cells[i];
+            if (!(cell instanceof HTMLElement))
+                throw Error(`${MODULE_NAME} generator resolved with non-HTMLElement cell for column ${column}.`);
+
+            const frozen = column < table.frozen;
+            cell.setAttribute("role", role);
+            cell.setAttribute("aria-colindex", column + 1);
+            cell.style.position = "absolute";
+            cell.style.margin = 0;
+            cell.style.top = 0;
+            cell.style.bottom = 0;
+            cell.style.left = `${table.offsets[column]}px`;
+            cell.style.width = `${table.widths[column]}px`;
+            cell.classList.toggle("frozen", frozen);
+
+            // Frozen cells are placed in a layer which sticks to the left
+            // of the view as the table scrolls sideways.
+            const parent = frozen ? getFrozenLayer.call(this, row) : row;
+            const oldCell = state.cells.get(column);
+            if (oldCell && oldCell.parentNode === parent) {
+                parent.replaceChild(cell, oldCell);
+            } else {
+                parent.appendChild(cell);
+            }
+            state.cells.set(column, cell);
+            state.cache.delete(column);
+        });
+    }
+
+    /**
+     * Get the layer of the frozen cells of a table row, creating it if
+     * needed. It is the only child of the row in the flow, so it can stick
+     * to the left of the view.
+     *
+     * @param {HTMLElement} row Row element, or the header row.
+     * @returns {HTMLElement} Layer element.
+     */
+    function getFrozenLayer(row) {
+        const state = this.__rowCells.get(row);
+        if (!state.frozenLayer) {
+            const layer = document.createElement("div");
+            layer.className = "frozen-cells";
+            layer.setAttribute("role", "presentation");
+            layer.style.position = "sticky";
+            layer.style.left = 0;
+            layer.style.width = `${this.__table.offsets[this.__table.frozen]}px`;
+            layer.style.height = "100%";
+            layer.style.zIndex = 1;
+            row.insertBefore(layer, row.firstChild);
+            state.frozenLayer = layer;
+        }
+        return state.frozenLayer;
+    }
+
+    /**
+     * Match the cells of a table row to the columns in view: cells of other
+     * columns are put aside in the cache of the row, and missing cells are
+     * taken from the cache or generated.
+     *
+     * @param {HTMLElement} row Row element, or the header row.
+     */
+    function updateRowCells(row) {
+        const state = this.__rowCells.get(row);
+        if (!state || !this.__table.columns) return;
+
+        const columns = this.__table.columns;
+        const loaded = new Set(columns);
+        for (const [column, cell] of Array.from(state.cells)) {
+            if (loaded.has(column)) continue;
+            if (cell.parentNode) cell.parentNode.removeChild(cell);
+            state.cells.delete(column);
+            state.cache.set(column, cell);
+        }
+
+        // The least recently removed cells are dropped first.
+        if (typeof this.__cellCacheSize === "number") {
+            for (const column of Array.from(state.cache.keys())) {
+                if (state.cache.size <= this.__cellCacheSize) break;
+                state.cache.delete(column);
+            }
+        }
+
+        const missing = [];
+        for (const column of columns) {
+            if (state.cells.has(column) || state.pending.has(column)) continue;
+            if (state.cache.has(column)) {
+                addTableCells.call(this, row, [state.cache.get(column)], [column]);
+            } else {
+                missing.push(column);
+            }
+        }
+        if (!missing.length) return;
+
+        if (row === this.__table.header) {
+            addTableCells.call(this, row, missing.map(column => this.__columnHeader(column)), missing);
+        } else {
+            loadRowCells.call(this, row, missing);
+        }
+    }
+
+    /**
+     * Call the generator for the cells of the given columns of a loaded row.
+     *
+     * @param {HTMLElement} row Row element.
+     * @param {number[]} columns Column indices.
+     */
+    function loadRowCells(row, columns) {
+        const state = this.__rowCells.get(row),
+            index = getListItemIndex(row),
+            uniqueIdentifier = this.__uniqueIdentifier,
+            controller = createAbortController();
+        for (const column of columns) state.pending.add(column);
+        if (controller) this.__cellControllers.add(controller);
+
+        queueGeneratorCall.call(this, this.__batchLoad ? [index] : index, cells => {
+            this.__cellControllers.delete(controller);
+            scheduleRender.call(this, () => {
+                for (const column of columns) state.pending.delete(column);
+
+                // The list has been reloaded or the row removed meanwhile.
+                if (this.__uniqueIdentifier !== uniqueIdentifier || row.parentNode !== this.element) return;
+
+                if (!cells || cells instanceof Error) {
+                    warn(`Generating cells of row ${index} failed: ${cells ? cells.message : "no cells"}`);
+                    return;
+                }
+
+                addTableCells.call(this, row, getRowCells(cells), columns);
+
+                // The columns in view may have changed while the cells were generated.
+                updateRowCells.call(this, row);
+            });
+        }, [columns], controller);
+    }
+
+    /**
+     * Get the cells of a single row from a generator result, which is a
+     * list of rows if the generator loads in batches.
+     *
+     * @param {Array} result Cells of the row, or a list containing them.
+     * @returns {HTMLElement[]} Cell elements.
+     */
+    function getRowCells(result) {
+        return Array.isArray(result) && Array.isArray(result[0]) ? result[0] : result;
+    }
+
+    /**
+     * Set the count of rows of a table, including the header row, for
+     * assistive technologies.
+     */
+    function updateRowCount() {
+        if (!this.__table) return;
+
+        this.element.setAttribute("aria-rowcount", typeof this.__size === "number" ?
+            this.__size + (this.__columnHeader ? 1 : 0) :
+            -1);
+    }
+
+    /**
+     * Watch the size and visibility of the container to update the list when
+     * e.g. a collapsed panel or tab containing it is opened. Falls back to
+     * listening for window resize where the observers are not supported.
+     */
+    function observeContainer() {
+        this.__containerSize = null;
+
+        const scrollParent = this.__scrollParent;
+        if ("ResizeObserver" in window) {
+            this.__resizeObserver = new ResizeObserver(entries => {
+                // The view of the scrolling ancestor has changed size.
+                if (entries.some(entry => entry.target !== this.element)) this.invalidate();
+                onContainerResize.call(this);
+            });
+            this.__resizeObserver.observe(this.element);
+            if (scrollParent !== this.element && scrollParent !== window) {
+                this.__resizeObserver.observe(scrollParent);
+            }
+        }
+
+        // The size of the window is not observable.
+        if (!("ResizeObserver" in window) || scrollParent === window) {
+            this.__resizeListener = () => {
+                this.invalidate();
+            };
+            window.addEventListener("resize", this.__resizeListener);
+        }
+
+        if ("IntersectionObserver" in window) {
+            this.__intersectionObserver = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting)) this.invalidate();
+            });
+            this.__intersectionObserver.observe(this.element);
+        }
+    }
+
+    /**
+     * Re-measure variable height items if the width of the container has
+     * changed and update the list for the new size.
+     */
+    function onContainerResize() {
+        const axis = this.__axis;
+        const width = this.element[axis.crossClient];
+        // The height of a list inside a scrolling page follows its content.
+        const height = this.__scrollParent === this.element ? this.element[axis.client] : 0;
+        const previous = this.__containerSize;
+        this.__containerSize = { width, height };
+
+        // Observers report the initial size which needs no update.
+        if (!previous || (previous.width === width && previous.height === height)) return;
+
+        // Text wraps differently with a new width.
+        if (this.__heightMap && previous.width !== width && isElementVisible(this.element)) {
+            const children = Array.from(this.__domElements).sort((a, b) => a - b)
+                .map(domElement => [domElement, document.getElementById(getListItemId.call(this, domElement))])
+                .filter(([, elem]) => elem);
+            startMeasure.call(this, children.map(([, elem]) => elem));
+            for (const [domElement, elem] of children) measureChild.call(this, domElement, elem);
+            finishMeasure.call(this);
+        }
+
+        this.invalidate();
+    }
+
+    /**
+     * Record the scroll position to calculate the speed and direction of
+     * scrolling.
+     *
+     * @param {number} scrollTop Current scroll position.
+     */
+    function trackScrollVelocity(scrollTop) {
+        const time = performance.now();
+        const sample = this.__scrollSample;
+
+        if (sample && time > sample.time) {
+            const velocity = (scrollTop - sample.scrollTop) / (time - sample.time);
+            // Smooth out unevenly timed scroll events while scrolling continues.
+            this.__scrollVelocity = time - sample.time < VELOCITY_TIMEOUT ?
+                (this.__scrollVelocity + velocity) / 2 :
+                velocity;
+            if (velocity) this.__scrollDirection = Math.sign(velocity);
+        }
+
+        this.__scrollSample = { scrollTop, time };
+    }
+
+    /**
+     * Get the current scroll velocity.
+     *
+     * @returns {number} Pixels per millisecond, negative upwards, 0 if the list is not scrolling.
+     */
+    function getScrollVelocity() {
+        const sample = this.__scrollSample;
+        if (!sample || performance.now() - sample.time > VELOCITY_TIMEOUT) return 0;
+        return this.__scrollVelocity;
+    }
+
+    /**
+     * Get the area loaded above and below the view. While scrolling, the area
+     * ahead grows with the speed and the area behind is halved.
+     *
+     * @param {number} velocity Scroll velocity in pixels per millisecond.
+     * @returns {Object} Treshold { before, after } in pixels.
+     */
+    function getPrefetchTreshold(velocity) {
+        const treshold = this.__treshold;
+        if (!velocity || !this.__prefetchTime) return { before: treshold, after: treshold };
+
+        const extra = Math.min(
+            Math.abs(velocity) * this.__prefetchTime,
+            this.__prefetchLimit * this.__childSize
+        );
+        return velocity > 0 ?
+            { before: treshold / 2, after: treshold + extra } :
+            { before: treshold + extra, after: treshold / 2 };
+    }
+
+    /**
+     * Generate a few rows ahead of the loaded area into cache when the
+     * browser is idle.
+     */
+    function scheduleIdlePrefetch() {
+        if (!this.__idlePrefetch || !window.requestIdleCallback || this.__idleRequest !== null) return;
+
+        this.__idleRequest = window.requestIdleCallback(() => {
+            this.__idleRequest = null;
+            prefetchIdle.call(this);
+        });
+    }
+
+    /**
+     * Generate the rows following the loaded area in the direction of the
+     * last scroll and place them in cache.
+     */
+    function prefetchIdle() {
+        // Visible items go first.
+        if (this.__queries.size || this.__prefetches.size || !this.__inView.size) return;
+
+        const inView = Array.from(this.__inView);
+        const direction = this.__scrollDirection;
+        const start = direction > 0 ? Math.max(...inView) + 1 : Math.min(...inView) - 1;
+
+        const indices = numRange(0, this.__idlePrefetch)
+            .map(i => start + i * direction)
+            .filter(e => e >= 0
+                && !(typeof this.__size === "number" && e >= this.__size)
+                && !this.__domElements.has(e)
+                && !this.__cache.has(e)
+                && !this.__errors.has(e));
+        if (!indices.length) return;
+
+        // Results are dropped if the list is reloaded or items are moved meanwhile.
+        const uniqueIdentifier = this.__uniqueIdentifier;
+        const columns = this.__table ? this.__table.columns : null;
+        const tickets = indices.map(index => {
+            const ticket = { index };
+            this.__prefetches.set(index, ticket);
+            return ticket;
+        });
+
+        const onPrefetched = (ticket, result) => {
+            if (this.__prefetches.get(ticket.index) !== ticket) return;
+            this.__prefetches.delete(ticket.index);
+
+            const index = ticket.index;
+            if (this.__table && Array.isArray(result) && this.__uniqueIdentifier === uniqueIdentifier) {
+                result = createTableRow.call(this, result, columns);
+            }
+            if (this.__uniqueIdentifier !== uniqueIdentifier
+                || result === null || result === undefined || result instanceof Error || isEndOfData(result)
+                || (!this.__bindElement && !(result instanceof HTMLElement))
+                || this.__domElements.has(index) || this.__queries.has(index)) return;
+
+            this.__cachePolicy.touch(index, result);
+            this.__cache.set(index, result);
+            rememberKey.call(this, index);
+            truncateCache.call(this);
+        };
+
+        const controller = createAbortController();
+        this.__prefetchController = controller;
+        const args = columns ? [columns] : [];
+        if (this.__batchLoad) {
+            queueGeneratorCall.call(this, indices, results => {
+                tickets.forEach((ticket, i) => onPrefetched(ticket, results && results[i]));
+            }, args, controller);
+        } else {
+            for (const ticket of tickets) {
+                queueGeneratorCall.call(this, ticket.index, result => onPrefetched(ticket, result), args, controller);
+            }
+        }
+    }
+
+    /**
+     * Forget pending prefetches and abort their generator calls.
+     */
+    function clearPrefetches() {
+        this.__prefetches.clear();
+        if (this.__prefetchController) this.__prefetchController.abort();
+        this.__prefetchController = null;
+    }
+
+    /**
+     * Remove the least recently used items from cache according to cacheSize.
+     */
+    function truncateCache() {
+        if (!this.__cacheSize) return;
+
+        const removedCachedIds = this.__cachePolicy.evict(this.__cacheSize);
+        for (const removeCachedId of removedCachedIds) {
+            this.__cache.delete(removeCachedId);
+            forgetKey.call(this, removeCachedId);
+        }
+    }
+
+    /**
+     * Get boolean value indicating whether the element is currently visible.
+     * 
+     * @param {HTMLElement} element DOM element of which' visibility you want to get.
+     */
+    function isElementVisible(element) {
+        return element.offsetParent;
+    }
+
+    /**
+     * Get the current index of a pending query. Indices of pending queries
+     * follow items inserted, removed and moved while they are unresolved.
      *
-     * @param start Starting index.
-     * @param N Number of indices to generate.
-     * @returns {Array} Array of range numbers.
+     * @param {Object} ticket Query ticket created when the generator was called.
+     * @returns {number} Current index of the query, or -1 if it is no longer valid.
      */
-    function numRange(start, N) {
-        return Array.from(Array(N || 1), (val, index) => start + index);
+    function getQueryIndex(ticket) {
+        if (ticket.index < 0 || this.__queries.get(ticket.index) !== ticket) return -1;
+        return ticket.index;
     }
 
     /**
-     * Log warning message.
-     * @param {string} msg Message.
+     * Create a controller to abort a generator call, if supported.
+     *
+     * @returns {AbortController} Controller, or null.
      */
-    function warn(msg) {
-        console.warn(`${MODULE_NAME}: ${msg}`);
+    function createAbortController() {
+        return typeof AbortController === "function" ? new AbortController() : null;
     }
 
     /**
-     * Return the indices of list items which fit into the list view.
+     * Call the generator, which may either call resolve or return a Promise.
+     * The result is passed on once, whichever comes first; a Promise resolving
+     * with nothing leaves the result to the resolve callback.
      *
-     * @param {number} rootTop Container view scrollTop.
-     * @param {number} rootHeight Container height.
-     * @param {number} treshold Extra treshold below the visible container.
-     * @param {number} childSize Fixed size of a child container.
+     * @param {number|number[]} index Ordinal index or a list of indices.
+     * @param {function} resolve Callback receiving the result or an Error.
+     * @param {Array} args Extra arguments, e.g. data given to updateItem.
+     * @param {AbortController} controller Controller whose signal is passed as the last argument.
      */
-    function getChildrenInView(rootTop, rootHeight, treshold, childSize) {
-        // If no size is yet available, load only the first element
-        // to calculate the fixed height.
-        if (!childSize) return [0];
-
-        const top = Math.max(rootTop - treshold, 0),
-            totalHeight = rootHeight + treshold * 2,
-            firstChildInView = (top / childSize) >>> 0,
-            firstChildExcess = firstChildInView * childSize,
-            viewLeft = totalHeight - (firstChildExcess - rootTop),
-            childrenInView = Math.ceil(viewLeft / childSize);
+    function callGenerator(index, resolve, args, controller) {
+        let settled = false;
+        const settle = result => {
+            if (settled) return;
+            settled = true;
+            resolve(result);
+        };
 
-        return numRange(firstChildInView, childrenInView);
+        try {
+            const result = this.__query(index, settle, ...args, controller ? controller.signal : undefined);
+            if (result && typeof result.then === "function") {
+                result.then(
+                    value => {
+                        if (value !== undefined) settle(value);
+                    },
+                    error => settle(error instanceof Error ? error : Error(error))
+                );
+            }
+        } catch (error) {
+            settle(error instanceof Error ? error : Error(error));
+        }
     }
 
     /**
-     * Generate DOM id property for given list item.
+     * Queue a generator call which is not for loading list items, e.g. an
+     * update or a prefetch, so that it counts towards maxConcurrent.
      *
-     * @param {number} index Ordinal index of the child in list.
-     * @returns {string} Generated id property.
+     * @param {number|number[]} index Ordinal index or a list of indices.
+     * @param {function} resolve Callback receiving the result or an Error.
+     * @param {Array} args Extra arguments, e.g. data given to updateItem.
+     * @param {AbortController} controller Controller which aborts the call, also while it is queued.
      */
-    function getListItemId(index) {
-        return `__${MODULE_NAME}_${this.__uniqueIdentifier}_index_${index}`;
+    function queueGeneratorCall(index, resolve, args, controller) {
+        this.__requestQueue.push({ index, resolve, args, controller });
+        startRequests.call(this);
     }
 
     /**
-     * Remove given list items from DOM.
-     *
-     * @param {HTMLELement} parent DOM element containing children.
-     * @param {number[]} elements Element ids to remove.
-     * @return Map which maps element ids to removed DOM elements, for caching.
+     * Start queued generator calls while fewer than maxConcurrent are pending.
      */
-    function removeChildren(parent, ...elements) {
-        const result = new Map();
-        elements
-            .reduce((arr, val) => arr.concat(val))
-            .forEach(e => {
-                const childId = getListItemId.call(this, e);
-                const elem = document.getElementById(childId);
-                // The element is not in DOM.
-                if (!elem) return;
+    function startRequests() {
+        // Generators resolving synchronously must not start calls out of order.
+        if (this.__startingRequests) return;
+        this.__startingRequests = true;
 
-                result.set(e, elem);
-                parent.removeChild(elem);
-            });
+        while (this.__requestQueue.length
+            && !(this.__maxConcurrent && this.__activeRequests >= this.__maxConcurrent)) {
+            const request = this.__requestQueue.shift();
 
-        return result;
+            // All items of the request left the loaded range, or the call
+            // was aborted, while it was queued.
+            if (request.tickets ? !request.tickets.size : request.controller && request.controller.signal.aborted)
+                continue;
+
+            startRequest.call(this, request);
+        }
+
+        this.__startingRequests = false;
     }
 
     /**
-     * Validate passed options for required arguments.
+     * Call the generator for the items of a request which are still wanted,
+     * or for a queued call of another kind.
      *
-     * @param {Object} object Options object.
-     * @param {string[]} properties Required properties.
+     * @param {Object} request Generator call { tickets, batch, controller, uniqueIdentifier } loading
+     * list items, or { index, resolve, args, controller } from queueGeneratorCall.
      */
-    function requireOptions(object, ...properties) {
-        const missing = properties.filter(p => !(p in object));
-        if (missing.length)
-            throw Error(
-                `Options object is missing required properties ${missing}`
-            );
+    function startRequest(request) {
+        let index = request.index,
+            resolve = request.resolve,
+            args = request.args;
+        if (request.tickets) {
+            const tickets = Array.from(request.tickets);
+            const indices = tickets.map(ticket => ticket.index);
+
+            // Table rows are generated with the cells of the columns in view.
+            const columns = this.__table ? this.__table.columns : null;
+            for (const ticket of tickets) ticket.columns = columns;
+
+            index = request.batch ? indices : indices[0];
+            resolve = result =>
+                onListItemGenerated.call(this, request.batch ? tickets : tickets[0], result, request.uniqueIdentifier);
+            args = columns ? [columns] : [];
+        }
+
+        // The call counts towards maxConcurrent until it settles, also when
+        // it is aborted, as a generator may ignore the signal.
+        this.__activeRequests++;
+        callGenerator.call(this, index, result => {
+            this.__activeRequests--;
+            resolve(result);
+            startRequests.call(this);
+        }, args, request.controller);
     }
 
     /**
-     * Position and modify the generated child DOM element.
+     * Forget a pending query, e.g. when its item has left the loaded range.
      *
      * @param {number} index Ordinal index in the list.
-     * @param {HTMLElement} elem Generated DOM element.
-     * @param {boolean} inPlace If true the new object will replace old one.
      */
-    function addChild(index, elem, inPlace) {
-        // Position the element absolutely according to its ordinal position.
-        const childTop = index * this.__childSize;
+    function cancelQuery(index) {
+        const ticket = this.__queries.get(index);
+        if (!ticket) return;
 
-        elem.style.position = "absolute";
-        elem.style.margin = 0;
-        elem.style.top = `${childTop}px`;
-        elem.style.left = 0;
-        elem.style.right = 0;
-        elem.id = getListItemId.call(this, index);
+        this.__queries.delete(index);
+        removeSlotElement.call(this, index);
+        releaseTicket(ticket);
+        rejectWaiters.call(this, index, Error(`Loading item ${index} was cancelled`));
+    }
 
-        if (this.__childSize) {
-            elem.style.height = `${this.__childSize}px`;
-        }
+    /**
+     * Release a query ticket from its generator call, aborting the call once
+     * none of its items are wanted anymore.
+     *
+     * @param {Object} ticket Query ticket.
+     */
+    function releaseTicket(ticket) {
+        const request = ticket.request;
+        if (!request) return;
 
-        if (inPlace) {
-            const listItemId = elem.id;
-            const oldElement = document.getElementById(listItemId);
-            this.element.insertBefore(elem, oldElement);
-            this.element.removeChild(oldElement);
-        } else {
-            // Append the new child element to the containing div.
-            this.element.appendChild(elem);
-        }
+        request.tickets.delete(ticket);
+        if (!request.tickets.size && request.controller) request.controller.abort();
+    }
 
-        // If no child size is provided by the user,
-        // size is calculated ad-hoc here from the first loaded
-        // element.
-        if (!this.__childSize) {
-            this.__childSize = elem.scrollHeight;
-            this.__treshold = calculateTreshold.call(this);
-            recalculateHeights.call(this);
-            setTimeout(this.invalidate.bind(this), 0);
+    /**
+     * Abort all pending generator calls.
+     */
+    function abortRequests() {
+        for (const ticket of this.__queries.values()) releaseTicket(ticket);
+        this.__requestQueue = [];
 
-            if (this.__fixedSize) {
-                positionDummyElement.call(this);
-            }
+        for (const request of this.__updateRequests.values()) {
+            if (request.controller) request.controller.abort();
         }
 
-        const finalElement = index === (this.__size - 1);
-        if (finalElement) {
-            if (this.__finalElement && this.__finalElement !== elem) {
-                this.__finalElement.classList.remove("last-of-list");
-            }
-            elem.classList.add("last-of-list");
-            this.__finalElement = elem;
-        }
+        for (const controller of this.__cellControllers) controller.abort();
+        this.__cellControllers.clear();
 
-        stretchList.call(this, index);
+        clearPrefetches.call(this);
     }
 
     /**
-     * In dynamic sized list, stretch the list DOM element below the last
-     * existing element so new elements can be generated when scrolling below it.
-     * 
-     * @param {number} index Last generated item index.
+     * Queue DOM work to be done in the next animation frame. Tasks are run in
+     * the order they were queued, within the frame budget; the rest are left
+     * to the following frames.
+     *
+     * @param {function} task Function doing the DOM work, or nothing to only request a frame.
      */
-    function stretchList(index) {
-        if (this.__fixedSize || !this.__childSize || typeof this.__size !== "number") return;
-
-        const childTop = index * this.__childSize;
-
-        // Stretch the view below last loaded element if not the last element.
-        const finalElement = index === (this.__size - 1);
-
-        if (!finalElement) {
-            // const currentScrollHeight = this.element.scrollHeight;
-            const currentScrollHeight = this.__currentScrollHeight;
-            const maxScrollHeight = this.__size * this.__childSize;
-            const newDummyTop = childTop + this.__childSize * 5;
-            if (newDummyTop > currentScrollHeight) {
-                const dummyTop = Math.min(maxScrollHeight, newDummyTop);
-                this.__dummyElement.style.top = `${dummyTop}px`;
-                this.__currentScrollHeight = dummyTop;
-                if (!isElementVisible(this.__dummyElement))
-                    this.element.appendChild(this.__dummyElement);
-            }
-        }
+    function scheduleRender(task) {
+        if (task) this.__renderQueue.push(task);
+        if (this.__frameRequest !== null) return;
+        this.__frameRequest = requestFrame(() => flushRenderQueue.call(this));
     }
 
     /**
-     * Calculate treshold value from configuration.
+     * Invalidate the list in the next animation frame. Multiple requests
+     * during the same frame invalidate the list once.
      */
-    function calculateTreshold() {
-        return this.__tresholdFactor * this.__childSize;
+    function scheduleInvalidate() {
+        this.__invalidateScheduled = true;
+        scheduleRender.call(this);
     }
 
     /**
-     * After fixedSize is updated, this function will update
-     * existing DOM elements already loaded to page.
+     * Run the queued DOM work of a frame. New list items are collected into
+     * a DocumentFragment which is added to the list at once at the end.
      */
-    function recalculateHeights() {
-        for (const domElement of this.__domElements) {
-            const identifier = getListItemId.call(this, domElement);
-            const elem = document.getElementById(identifier);
-            if (elem) {
-                elem.style.height = `${this.__childSize}px`;
+    function flushRenderQueue() {
+        this.__frameRequest = null;
+
+        if (this.__invalidateScheduled) {
+            this.__invalidateScheduled = false;
+            this.invalidate();
+        }
+
+        const start = performance.now();
+        this.__fragment = document.createDocumentFragment();
+        try {
+            while (this.__renderQueue.length) {
+                this.__renderQueue.shift()();
+                if (this.__frameBudget && performance.now() - start >= this.__frameBudget) break;
             }
+        } finally {
+            // A failing task must not lose the items rendered before it.
+            commitFragment.call(this);
+            this.__fragment = null;
+
+            if (this.__renderQueue.length || this.__invalidateScheduled) scheduleRender.call(this);
         }
     }
 
     /**
-     * In fixed size list, position dummy element to the end of the virtual list.
+     * Add the list items collected during the frame to DOM and finish
+     * adding them, e.g. measure them, once they are in the page.
      */
-    function positionDummyElement() {
-        // Position dummy element to stretch the container to full height on load.
-        if (!this.__fixedSize) return;
+    function commitFragment() {
+        if (!this.__fragment) return;
 
-        const newTop = this.__childSize * this.__size;
-        this.__dummyElement.style.top = `${newTop}px`;
+        if (this.__fragment.firstChild) this.element.appendChild(this.__fragment);
 
-        if (!isElementVisible(this.__dummyElement))
-            this.element.appendChild(this.__dummyElement);
+        const inserted = this.__afterInsert;
+        this.__afterInsert = [];
+        if (this.__heightMap) startMeasure.call(this, inserted.map(([, elem]) => elem));
+        for (const [index, elem] of inserted) onChildInserted.call(this, index, elem);
+        if (this.__heightMap) finishMeasure.call(this);
+        if (inserted.length) updateListHeight.call(this);
+        restoreScaledView.call(this);
+
+        onQueriesSettled.call(this);
     }
 
     /**
-     * Get boolean value indicating whether the element is currently visible.
-     * 
-     * @param {HTMLElement} element DOM element of which' visibility you want to get.
+     * Handle the result of the generator. The element is added to DOM
+     * in the next animation frame.
+     *
+     * @param {number|Object|Array} index Ordinal index, query ticket or a list of query tickets.
+     * @param {HTMLElement|HTMLElement[]} newElement Generated DOM element(s).
+     * @param {number} uniqueIdentifier Session identifier at the moment of invalidation.
      */
-    function isElementVisible(element) {
-        return element.offsetParent;
+    function onListItemGenerated(index, newElement, uniqueIdentifier) {
+        scheduleRender.call(this, () => renderListItem.call(this, index, newElement, uniqueIdentifier));
     }
 
-    function onListItemGenerated(index, newElement, uniqueIdentifier) {
+    /**
+     * Add the result of the generator to the list.
+     *
+     * @param {number|Object|Array} index Ordinal index, query ticket or a list of query tickets.
+     * @param {HTMLElement|HTMLElement[]} newElement Generated DOM element(s).
+     * @param {number} uniqueIdentifier Session identifier at the moment of invalidation.
+     */
+    function renderListItem(index, newElement, uniqueIdentifier) {
         if (!uniqueIdentifier) {
             throw Error('Null uniqueIdentifier');
         }
 
+        // The list has been reloaded while the element was being generated;
+        // ignore this instance.
+        if (this.__uniqueIdentifier !== uniqueIdentifier) {
+            return;
+        }
+
+        // No items from this index on.
+        if (isEndOfData(newElement)) {
+            const indices = [].concat(index)
+                .map(ticket => typeof ticket === "object" ? getQueryIndex.call(this, ticket) : ticket)
+                .filter(e => e !== -1);
+            if (indices.length) onEndOfData.call(this, Math.min(...indices));
+
+            onQueriesSettled.call(this);
+            return;
+        }
+
         // Validate returned new child element.
         if (newElement === null
             || newElement === undefined
+            || newElement instanceof Error
             || (newElement.constructor === Array && newElement.length === 0)) {
             // Prevent botched queries hanging around forever.
-            if (index.constructor === Array) {
-                for (const queryToDelete of index) {
-                    this.__queries.delete(queryToDelete);
-                }
-            } else {
-                this.__queries.delete(index);
-            }
+            for (const ticket of [].concat(index)) {
+                const failedIndex = typeof ticket === "object" ?
+                    getQueryIndex.call(this, ticket) :
+                    ticket;
+                if (failedIndex === -1) continue;
 
-            return;
-        }
+                const error = newElement instanceof Error ?
+                    newElement :
+                    Error(`Generator resolved with no element for index ${failedIndex}`);
+                onListItemFailed.call(this, failedIndex, error);
+            }
 
-        // The list has been reloaded while the element was being generated;
-        // ignore this instance.
-        if (this.__uniqueIdentifier !== uniqueIdentifier) {
+            onQueriesSettled.call(this);
             return;
         }
 
         if (index.constructor === Array) {
-            // The result is a list of DOM elements.
+            // The result is a list of DOM elements. Each of them is added
+            // separately so large batches are spread over several frames.
             for (let i = 0; i < index.length; i++) {
-                const id = index[i];
-                const element = newElement[i];
-                const onGenerated = onListItemGenerated.bind(this);
-                setTimeout(() => onGenerated(id, element, uniqueIdentifier), 0);
+                onListItemGenerated.call(this, index[i], newElement[i], uniqueIdentifier);
             }
 
             return;
         }
 
-        if (!(newElement instanceof HTMLElement))
-            throw Error(
-                `${MODULE_NAME} query callback resolved with non-HTMLElement result.`
-            );
+        if (typeof index === "object") {
+            // Table rows are built from the cells of the requested columns.
+            if (this.__table && Array.isArray(newElement)) {
+                newElement = createTableRow.call(this, newElement, index.columns);
+            }
+
+            // The item has been removed while it was being generated.
+            index = getQueryIndex.call(this, index);
+            if (index === -1) return;
+        }
+
+        // Reusable elements are bound to the resolved item data.
+        if (this.__bindElement) {
+            newElement = bindPooledElement.call(this, index, newElement);
+        }
+
+        // A result which is not an element fails only this item.
+        if (!(newElement instanceof HTMLElement)) {
+            onListItemFailed.call(this, index, Error(
+                `${MODULE_NAME} query callback resolved with non-HTMLElement result for index ${index}.`
+            ));
+            onQueriesSettled.call(this);
+            return;
+        }
 
         // Remove this index from pending queries.
         this.__queries.delete(index);
 
         // Remove loaded element from cache.
         this.__cache.delete(index);
-        const cachePosition = this.__cacheQueue.indexOf(index);
-        if (cachePosition != -1) {
-            this.__cacheQueue.splice(cachePosition, 1);
-        }
+        this.__cachePolicy.delete(index);
+
+        // The item has loaded successfully; forget earlier failures.
+        clearItemError.call(this, index);
 
         // Put to the tail of the queues.
         this.__domElements.add(index);
+        if (this.__lastLoaded !== null && index > this.__lastLoaded) this.__lastLoaded = index;
+
+        // The DOM policy only tracks items once they have an element, so
+        // evict again if loading them went over the limit.
+        if (this.__elementLimit && this.__domElements.size > this.__elementLimit) {
+            scheduleInvalidate.call(this);
+        }
+
+        // Replace the placeholder or error element occupying the slot, if any.
+        const inPlace = this.__slots.has(index);
+        this.__slots.delete(index);
+
+        // Loading ends once the items of the frame are in DOM.
+        addChild.call(this, index, newElement, inPlace);
+    }
+
+    /**
+     * Record a failure to generate a list item and either schedule
+     * a retry according to the retry policy or show the error element.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @param {Error} error Reason of the failure.
+     */
+    function onListItemFailed(index, error) {
+        this.__queries.delete(index);
+
+        const state = this.__errors.get(index) || { index, attempts: 0, timeout: null };
+        state.attempts++;
+        state.error = error;
+        state.waiting = true;
+        this.__errors.set(index, state);
+        this.__footerStale = true;
+
+        emit.call(this, EVENTS.ERROR, { indices: [index], error, attempts: state.attempts });
+
+        const policy = this.__retryPolicy;
+        if (state.attempts <= policy.retries) {
+            // Back off exponentially between retries.
+            const delay = Math.min(
+                policy.delay * Math.pow(policy.backoff, state.attempts - 1),
+                policy.maxDelay
+            );
+            state.timeout = setTimeout(() => {
+                state.timeout = null;
+                state.waiting = false;
+                this.invalidate();
+            }, delay);
+            return;
+        }
+
+        updateFooter.call(this);
+        rejectWaiters.call(this, index, error);
+
+        const errorElement = this.__errorRenderer ?
+            this.__errorRenderer(index, error, () => this.retry(state.index)) :
+            null;
+        if (errorElement instanceof HTMLElement) {
+            addSlotElement.call(this, index, errorElement);
+        } else {
+            // Do not leave a placeholder behind for an item which is not loading.
+            removeSlotElement.call(this, index);
+        }
+    }
+
+    /**
+     * Forget the error state of a list item.
+     *
+     * @param {number} index Ordinal index in the list.
+     */
+    function clearItemError(index) {
+        const state = this.__errors.get(index);
+        if (!state) return;
+
+        clearTimeout(state.timeout);
+        this.__errors.delete(index);
+        this.__footerStale = true;
+        updateFooter.call(this);
+    }
+
+    /**
+     * Place a temporary element, such as a placeholder or an error element,
+     * in the slot of a list item which has not been loaded. The element is replaced in
+     * place when the real element arrives.
+     *
+     * @param {number} index Ordinal index in the list.
+     * @param {HTMLElement} elem Temporary DOM element.
+     */
+    function addSlotElement(index, elem) {
+        elem.style.position = "absolute";
+        elem.style.margin = 0;
+        positionItem.call(this, index, elem);
+        elem.id = getListItemId.call(this, index);
+
+        if (this.__childSize && !this.__heightMap) {
+            elem.style[this.__axis.size] = `${this.__childSize}px`;
+        }
+
+        const oldElement = this.__slots.get(index);
+        if (oldElement && oldElement.parentNode === this.element) {
+            this.element.replaceChild(elem, oldElement);
+        } else {
+            this.element.appendChild(elem);
+        }
+        this.__slots.set(index, elem);
+    }
+
+    /**
+     * Remove the temporary element in the slot of a list item.
+     *
+     * @param {number} index Ordinal index in the list.
+     */
+    function removeSlotElement(index) {
+        const elem = this.__slots.get(index);
+        if (!elem) return;
 
-        addChild.call(this, index, newElement);
+        this.__slots.delete(index);
+        if (elem.parentNode === this.element) this.element.removeChild(elem);
+    }
 
+    /**
+     * Finish a reload once all of its queries have resolved.
+     */
+    function onReloadSettled() {
         // If a request to reload the list was made during reload, reload again
         // as the current state might not be valid anymore.
         if (this.__queries.size === 0) {
@@ -317,9 +3509,14 @@
                 this.__reloading = false;
             
                 if (this.__reloadingChildrenToRemove) {
-                    for (const elementToRemove of this.__reloadingChildrenToRemove) {
+                    for (const [elementToRemove, index] of this.__reloadingChildrenToRemove) {
                         try {
                             this.element.removeChild(elementToRemove);
+                            // Only list items are reused, not slots or headers.
+                            if (index !== -1) {
+                                emit.call(this, EVENTS.ITEM_EVICTED, { index, element: elementToRemove });
+                                recycleElement.call(this, index, elementToRemove);
+                            }
                         } catch (err) {
                             warn(`Child ${elementToRemove.id} to be removed after reload was not a child of root element (anymore)`)
                         }
@@ -352,24 +3549,48 @@
 
         this.element = elem;
 
-        // The parent element has to have absolute or relative position property to allow children
-        // to be placed relative to its constraints.
-        const computedStyle = window.getComputedStyle(elem);
-        if (!~["absolute", "relative"].indexOf(computedStyle.position))
+        if (!options)
             throw Error(
-                `${elem} must have position of 'absolute' or 'relative'`
+                `options argument must be passed to ${MODULE_NAME} constructor`
             );
 
-        if (!options)
+        // Items are laid out along the scrolling axis, in a grid if columns are given.
+        const orientation = options[OPTIONS.ORIENTATION] || "vertical";
+        if (!AXES.hasOwnProperty(orientation))
+            throw Error(`Invalid orientation ${orientation}, expected 'vertical' or 'horizontal'`);
+        this.__axis = AXES[orientation];
+
+        this.__columnWidth = options[OPTIONS.COLUMN_WIDTH];
+        if (this.__columnWidth !== undefined && !(this.__columnWidth > 0))
+            throw Error(`Invalid columnWidth ${this.__columnWidth}, expected a positive number`);
+        this.__columns = OPTIONS.COLUMNS in options ? options[OPTIONS.COLUMNS] : 1;
+        if (!Number.isInteger(this.__columns) || this.__columns < 1)
+            throw Error(`Invalid columns ${this.__columns}, expected a positive integer`);
+        if (this.__columnWidth && OPTIONS.COLUMNS in options)
+            throw Error("Give either columns or columnWidth, not both");
+        if ((this.__columns > 1 || this.__columnWidth)
+            && (options[OPTIONS.VARIABLE_HEIGHT] || options[OPTIONS.SECTIONS]))
+            throw Error("Grid layout does not support variableHeight or sections");
+
+        // The list scrolls by itself unless the window or an ancestor is given.
+        const scrollParent = options[OPTIONS.SCROLL_PARENT];
+        if (scrollParent && scrollParent !== window
+            && !(scrollParent instanceof HTMLElement && scrollParent.contains(elem)))
+            throw Error(`scrollParent must be window or an ancestor of ${elem}`);
+        this.__scrollParent = scrollParent || elem;
+
+        // The parent element has to have absolute or relative position property to allow children
+        // to be placed relative to its constraints. A list inside a scrolling page is
+        // positioned relatively in the normal flow.
+        const positioned = ~["absolute", "relative"].indexOf(window.getComputedStyle(elem).position);
+        if (!positioned && this.__scrollParent !== elem) {
+            elem.style.position = "relative";
+        } else if (!positioned)
             throw Error(
-                `options argument must be passed to ${MODULE_NAME} constructor`
+                `${elem} must have position of 'absolute' or 'relative'`
             );
 
-        // Invalidate the list when window is resized.
-        this.__resizeListener = () => {
-            this.invalidate();
-        };
-        window.addEventListener("resize", this.__resizeListener);
+        observeContainer.call(this);
 
         // If there are multiple list instances on a single page, they
         // must be differentiated from each other.
@@ -382,6 +3603,14 @@
         // Throttle event firing to avoid needless computation.
         let scrollTimeout = null;
         this.__scrollListener = () => {
+            // Keep the sticky header in place even if invalidation is throttled.
+            const scrollTop = getScrollTop.call(this);
+            // Scaled items are positioned relative to the view.
+            if (this.__scaled || this.__scaleShift) updateScaleShift.call(this);
+            positionHeaders.call(this, scrollTop);
+            trackScrollVelocity.call(this, scrollTop);
+            if (this.__onRefresh) updateTouchAction.call(this);
+
             if (!this.__throttleScroll) {
                 this.invalidate();
             } else {
@@ -396,7 +3625,43 @@
             }
         };
         this.__scrollListener = this.__scrollListener.bind(this);
-        elem.addEventListener("scroll", this.__scrollListener);
+        this.__scrollParent.addEventListener("scroll", this.__scrollListener);
+
+        // Track the focused item and redirect focus from the container to it.
+        this.__focusListener = event => {
+            if (event.target === this.element) {
+                if (this.__keyboardNavigation && this.__size !== 0) {
+                    this.focusIndex(this.__focusIndex).catch(err => warn(err.message));
+                }
+                return;
+            }
+
+            let item = event.target;
+            while (item && item.parentNode !== this.element) item = item.parentNode;
+            const index = item ? getListItemIndex(item) : -1;
+            if (index !== -1 && this.__domElements.has(index) && index !== this.__focusIndex) {
+                setFocusIndex.call(this, index);
+            }
+        };
+        this.__keyListener = onKeyDown.bind(this);
+        elem.addEventListener("focusin", this.__focusListener);
+
+        // Select items by clicking them.
+        this.__clickListener = event => {
+            if (!this.__selectionMode || event.defaultPrevented) return;
+
+            let item = event.target;
+            while (item && item.parentNode !== this.element) item = item.parentNode;
+            const index = item ? getListItemIndex(item) : -1;
+            if (index === -1 || !this.__domElements.has(index)) return;
+
+            // Clicks on links, buttons and inputs inside the item are theirs.
+            const control = event.target.closest && event.target.closest(INTERACTIVE_ELEMENTS);
+            if (control && control !== item && item.contains(control)) return;
+
+            selectByUser.call(this, index, event.shiftKey, event.ctrlKey || event.metaKey);
+        };
+        elem.addEventListener("click", this.__clickListener);
 
         // Clear the container.
         while (this.element.firstChild)
@@ -404,29 +3669,114 @@
 
         // Inner state.
         this.__domElements = new Set(); // All loaded children.
+        this.__lastLoaded = -1; // Highest index in DOM, null if it has to be found again.
         this.__inView = new Set(); // List items in view currently.
-        this.__queue = []; // Queue to determine which elements to remove from DOM.
-        this.__cacheQueue = []; // Queue to determine which elements to remove from cache.
         this.__cache = new Map(); // Cached DOM elements.
-        this.__queries = new Set(); // Ongoing unresolved queries for new elements.
+        this.__queries = new Map(); // Ongoing unresolved queries for new elements.
         this.__updateRequests = new Map(); // Ongoing update requests.
         this.__uniqueIdentifier = uniqueIdentifier; // Unique identifier for this instance.
-        this.__spinnerTimeout = null;
+        this.__renderQueue = []; // DOM work waiting for the next animation frame.
+        this.__frameRequest = null; // Pending animation frame request.
+        this.__invalidateScheduled = false; // Invalidate in the next animation frame.
+        this.__fragment = null; // New list items collected during a frame.
+        this.__afterInsert = []; // Indices and elements to finish once the fragment is in DOM.
+        this.__measureBatch = null; // Heights read before measured items are moved.
+        this.__scrollSample = null; // Last scroll position and time.
+        this.__scrollVelocity = 0; // Smoothed scroll velocity in pixels per millisecond.
+        this.__scrollDirection = 1; // Direction of the last scroll, 1 down or -1 up.
+        this.__prefetches = new Map(); // Pending idle prefetch tickets by index.
+        this.__idleRequest = null; // Pending idle callback request.
+        this.__settleTimeout = null; // Invalidation after scrolling stops.
+        this.__prefetchController = null; // Aborts the pending idle prefetch.
+        this.__requestQueue = []; // Generator calls waiting for maxConcurrent.
+        this.__activeRequests = 0; // Count of pending generator calls.
+        this.__startingRequests = false; // Guards against starting calls re-entrantly.
+        this.__itemWaiters = new Map(); // Promises waiting for items to load.
+        this.__listeners = new Map(); // Event listeners by event type.
+        this.__visibleRange = null; // First and last visible index.
+        this.__loading = false; // True while there are unresolved queries.
+        this.__errors = new Map(); // Error state of list items which failed to load.
+        this.__slots = new Map(); // Temporary elements in place of list items not loaded.
+        this.__headers = new Map(); // Section header elements in DOM.
+        this.__focusIndex = 0; // Item with the roving tab index.
+        this.__selection = new Set(); // Selected item indices.
+        this.__selectionAnchor = null; // Item from which shift selects a range.
         this.__currentScrollHeight = 0;
+        this.__dummyTop = 0; // Offset of the dummy element from the top of the list.
+        this.__scaled = false; // True if the list is scrolled in scaled coordinates.
+        this.__heightCapped = false; // True once a list in a scrolling page has reached maxScrollHeight.
+        this.__scaleShift = 0; // Offset of the physical positions of scaled items from their list offsets.
+        this.__scaledScrollTop = null; // List offset in view before the scale changed, until the view is restored.
+        this.__sizeFromEnd = false; // True if the size was set by the generator signalling the end.
+        this.__footerElement = null; // Element shown after the last item.
+        this.__footerState = null; // State the footer element was created for.
+        this.__footerLast = -1; // Highest loaded index when the footer state was found.
+        this.__footerTop = null; // Offset the footer element was positioned at.
+        this.__footerStale = false; // True if failures changed since the footer state was found.
 
         // Handle passed options.
-        requireOptions(options, OPTIONS.QUERY);
-        this.__query = options[OPTIONS.QUERY];
+        this.__createElement = options[OPTIONS.CREATE_ELEMENT];
+        this.__bindElement = options[OPTIONS.BIND_ELEMENT];
+        this.__unbindElement = options[OPTIONS.UNBIND_ELEMENT];
+        // Prefetching is opted into, as it adds generator calls.
+        this.__prefetchTime = options[OPTIONS.PREFETCH_TIME] || 0;
+        this.__prefetchLimit = OPTIONS.PREFETCH_LIMIT in options ?
+            options[OPTIONS.PREFETCH_LIMIT] :
+            DEFAULT_PREFETCH_LIMIT;
+        this.__idlePrefetch = options[OPTIONS.IDLE_PREFETCH] || 0;
+        this.__maxScrollHeight = options[OPTIONS.MAX_SCROLL_HEIGHT] || DEFAULT_MAX_SCROLL_HEIGHT;
+        this.__maxConcurrent = options[OPTIONS.MAX_CONCURRENT];
+        this.__maxBatchSize = options[OPTIONS.MAX_BATCH_SIZE];
+        this.__frameBudget = OPTIONS.FRAME_BUDGET in options ?
+            options[OPTIONS.FRAME_BUDGET] :
+            DEFAULT_FRAME_BUDGET;
+        this.__poolSize = OPTIONS.POOL_SIZE in options ?
+            options[OPTIONS.POOL_SIZE] :
+            DEFAULT_POOL_SIZE;
+        this.__pool = []; // Unbound reusable elements.
+        this.__itemData = new Map(); // Data bound to reusable elements.
+
+        this.__dataSource = options[OPTIONS.DATA_SOURCE];
+        if (this.__dataSource) {
+            // The data source renders the elements of its records.
+            const dataSource = this.__dataSource;
+            if (options[OPTIONS.QUERY] || this.__createElement || this.__bindElement)
+                throw Error("dataSource cannot be used with generator, createElement or bindElement");
+            if (typeof dataSource.load !== "function")
+                throw Error("dataSource must have a load(index, resolve) method");
+            this.__query = (index, resolve, signal) => dataSource.load(index, resolve, signal);
+        } else if (this.__createElement || this.__bindElement) {
+            // With reusable elements the generator only provides item data,
+            // which defaults to the index itself or the data given to updateItem.
+            requireOptions(options, OPTIONS.CREATE_ELEMENT, OPTIONS.BIND_ELEMENT);
+            // Loads pass only the abort signal, updateItem passes its data first.
+            this.__query = options[OPTIONS.QUERY] ||
+                ((index, resolve, ...args) => resolve(args.length > 1 ? args[0] : index));
+        } else {
+            requireOptions(options, OPTIONS.QUERY);
+            this.__query = options[OPTIONS.QUERY];
+        }
         this.__check = options[OPTIONS.INVALIDATE_CHECK];
         this.__childSize = options[OPTIONS.CHILD_SIZE];
         this.__fixedSize = options[OPTIONS.FIXED_SIZE];
         this.__size = options[OPTIONS.SIZE];
+        if (this.__size === undefined && this.__dataSource) this.__size = this.__dataSource.size;
         this.__elementLimit = options[OPTIONS.ELEMENT_LIMIT];
         this.__cacheSize = options[OPTIONS.CACHE_SIZE];
+        this.__domPolicy = options[OPTIONS.DOM_POLICY] || new LruPolicy(); // Determines which elements to remove from DOM.
+        this.__cachePolicy = options[OPTIONS.CACHE_POLICY] || new LruPolicy(); // Determines which elements to remove from cache.
         this.__domDelete = options[OPTIONS.DOM_DELETE];
         this.__spinner = options[OPTIONS.TOGGLE_SPINNER];
         this.__keepPositionOnReload = options[OPTIONS.KEEP_POSITION_ON_RELOAD];
         this.__batchLoad = options[OPTIONS.BATCH_LOAD];
+        this.__errorRenderer = options[OPTIONS.ERROR_RENDERER];
+        this.__placeholder = options[OPTIONS.PLACEHOLDER];
+        this.__footer = options[OPTIONS.FOOTER];
+        if (this.__footer && typeof this.__footer !== "function")
+            throw Error("footer must be a function (state) which returns an element");
+        this.__retryPolicy = Object.assign({}, DEFAULT_RETRY_POLICY, options[OPTIONS.RETRY_POLICY]);
+        this.__startAtEnd = options[OPTIONS.START_AT_END];
+        this.__stickToBottom = options[OPTIONS.STICK_TO_BOTTOM];
         this.__throttleScroll = OPTIONS.THROTTLE_SCROLL in options ?
             options[OPTIONS.THROTTLE_SCROLL] :
             true;
@@ -435,6 +3785,144 @@
             options[OPTIONS.TRESHOLD] :
             DEFAULT_TRESHOLD;
 
+        // List semantics for assistive technologies.
+        const role = options[OPTIONS.ROLE] || "list";
+        if (!~["list", "listbox"].indexOf(role))
+            throw Error(`Invalid role ${role}, expected 'list' or 'listbox'`);
+        this.__itemRole = role === "listbox" ? "option" : "listitem";
+        this.element.setAttribute("role", role);
+        if (orientation === "horizontal") this.element.setAttribute("aria-orientation", "horizontal");
+
+        this.__getKey = options[OPTIONS.GET_KEY];
+        if (!this.__getKey && this.__dataSource && this.__dataSource.getKey) {
+            this.__getKey = index => this.__dataSource.getKey(index);
+        }
+        if (this.__getKey && typeof this.__getKey !== "function")
+            throw Error("getKey must be a function which returns the key of the item at an index");
+        this.__keys = new Map(); // Keys of loaded items by index.
+
+        this.__selectionMode = options[OPTIONS.SELECTION_MODE];
+        if (this.__selectionMode && !~["single", "multi", "range"].indexOf(this.__selectionMode))
+            throw Error(`Invalid selectionMode ${this.__selectionMode}, expected 'single', 'multi' or 'range'`);
+        if (this.__selectionMode && this.__selectionMode !== "single") {
+            this.element.setAttribute("aria-multiselectable", true);
+        }
+
+        this.__keyboardNavigation = options[OPTIONS.KEYBOARD_NAVIGATION];
+        if (this.__keyboardNavigation) {
+            this.element.tabIndex = 0;
+            this.element.addEventListener("keydown", this.__keyListener);
+        }
+
+        // Pulling the list down from the top refreshes it.
+        this.__onRefresh = options[OPTIONS.ON_REFRESH];
+        this.__pull = {
+            pointer: null, // Pointer which may pull the list, with its start position.
+            distance: 0, // Pulled distance in pixels.
+            refreshing: false, // True while the refresh callback is pending.
+            request: null, // Pending refresh request.
+            indicator: null, // Pull indicator element.
+            suppressClick: false, // Ignore the click ending a pull.
+            touchAction: elem.style.touchAction // Touch action of the container away from the top.
+        };
+        this.__pullStartListener = onPullStart.bind(this);
+        this.__pullMoveListener = onPullMove.bind(this);
+        this.__pullEndListener = onPullEnd.bind(this);
+        // Touch scrolling would take over the pointer, so it is prevented
+        // while the list is pulled.
+        this.__touchMoveListener = event => {
+            if (this.__pull.pointer && this.__pull.distance && event.cancelable) event.preventDefault();
+        };
+        this.__pullClickListener = event => {
+            if (!this.__pull.suppressClick) return;
+            this.__pull.suppressClick = false;
+            event.preventDefault();
+            event.stopPropagation();
+        };
+        if (this.__onRefresh) {
+            if (typeof this.__onRefresh !== "function")
+                throw Error("onRefresh must be a function which returns a Promise");
+            if (orientation !== "vertical")
+                throw Error("onRefresh is only supported in vertical lists");
+
+            this.__pullIndicator = options[OPTIONS.PULL_INDICATOR];
+            if (this.__pullIndicator && typeof this.__pullIndicator !== "function")
+                throw Error("pullIndicator must be a function which returns an element");
+            this.__pullThreshold = options[OPTIONS.PULL_THRESHOLD] || DEFAULT_PULL_THRESHOLD;
+            this.__pullResistance = options[OPTIONS.PULL_RESISTANCE] || DEFAULT_PULL_RESISTANCE;
+
+            elem.addEventListener("pointerdown", this.__pullStartListener);
+            elem.addEventListener("pointermove", this.__pullMoveListener);
+            elem.addEventListener("pointerup", this.__pullEndListener);
+            elem.addEventListener("pointercancel", this.__pullEndListener);
+            elem.addEventListener("touchmove", this.__touchMoveListener, { passive: false });
+            elem.addEventListener("click", this.__pullClickListener, true);
+            updateTouchAction.call(this);
+        }
+
+        // Tables load the cells of each row as the columns scroll into view.
+        const tableColumns = options[OPTIONS.TABLE_COLUMNS];
+        this.__cellControllers = new Set(); // Abort pending generator calls for cells.
+        if (tableColumns) {
+            if (!Array.isArray(tableColumns) || !tableColumns.length || tableColumns.some(e => !(e > 0)))
+                throw Error(`Invalid tableColumns ${tableColumns}, expected the widths of the columns`);
+            if (orientation !== "vertical" || this.__columns > 1 || this.__columnWidth || scrollParent
+                || options[OPTIONS.VARIABLE_HEIGHT] || options[OPTIONS.SECTIONS]
+                || this.__dataSource || this.__createElement || this.__bindElement)
+                throw Error("Table mode does not support orientation, grids, scrollParent, variableHeight, sections, dataSource or reusable elements");
+
+            const frozen = options[OPTIONS.FROZEN_COLUMNS] || 0;
+            if (!Number.isInteger(frozen) || frozen < 0 || frozen > tableColumns.length)
+                throw Error(`Invalid frozenColumns ${frozen}`);
+
+            this.__columnHeader = options[OPTIONS.COLUMN_HEADER];
+            const headerSize = options[OPTIONS.HEADER_SIZE] || this.__childSize;
+            if (this.__columnHeader && !headerSize)
+                throw Error("headerSize must be given when childSize is not known");
+
+            const offsets = [0];
+            for (const width of tableColumns) offsets.push(offsets[offsets.length - 1] + width);
+            this.__table = {
+                widths: tableColumns.slice(),
+                offsets, // Left offset of each column, and the total width last.
+                frozen,
+                headerSize: this.__columnHeader ? headerSize : 0,
+                columns: null, // Columns in view.
+                header: null // Header row element.
+            };
+            this.__rowCells = new WeakMap(); // Cells of the rows by row element.
+
+            this.__itemRole = "row";
+            this.element.setAttribute("role", "table");
+            this.element.setAttribute("aria-colcount", tableColumns.length);
+            updateRowCount.call(this);
+
+            this.__cellCacheSize = options[OPTIONS.CELL_CACHE_SIZE];
+            if (this.__cellCacheSize !== undefined && !(Number.isInteger(this.__cellCacheSize) && this.__cellCacheSize >= 0))
+                throw Error(`Invalid cellCacheSize ${this.__cellCacheSize}`);
+        }
+
+        // Items can be grouped into sections, each with a header.
+        this.__headerGenerator = options[OPTIONS.HEADER_GENERATOR];
+        this.__headerSize = options[OPTIONS.HEADER_SIZE] || this.__childSize || 0;
+        if (options[OPTIONS.SECTIONS]) {
+            validateSections(options[OPTIONS.SECTIONS]);
+            this.__sections = options[OPTIONS.SECTIONS].slice();
+        }
+        if (this.__sections && this.__headerGenerator && !this.__headerSize)
+            throw Error("headerSize must be given when childSize is not known");
+
+        // Variable height items are measured after they are generated,
+        // items not yet loaded use the estimated height.
+        if (options[OPTIONS.VARIABLE_HEIGHT]) {
+            if (options[OPTIONS.ESTIMATED_CHILD_SIZE]) {
+                this.__childSize = options[OPTIONS.ESTIMATED_CHILD_SIZE];
+            }
+            this.__heightMap = new HeightMap(this.__childSize);
+        }
+
+        this.__footerSize = options[OPTIONS.FOOTER_SIZE] || this.__childSize;
+
         // Idenfity this session by random id, if the list is reloaded
         // it will be different.
         this.__uniqueIdentifier = Math.random() * 1000000 >>> 0;
@@ -452,9 +3940,15 @@
                     "Provide a function which takes a single boolean parameter.");
             }
 
+            this.on(EVENTS.LOAD_START, () => this.__spinner(true));
+            this.on(EVENTS.LOAD_END, () => this.__spinner(false));
             this.__spinner(true);
         }
 
+        if (this.__domDelete) {
+            this.on(EVENTS.ITEM_EVICTED, e => this.__domDelete(e.detail.index, e.detail.element));
+        }
+
         (function () {
             const extraKeys = Object.keys(options).filter(
                 k => !~Object.values(OPTIONS).indexOf(k)
@@ -472,18 +3966,33 @@
         dummy.style.position = "absolute";
         this.__dummyElement = dummy;
 
+        updateColumns.call(this);
         positionDummyElement.call(this);
+        if (typeof this.__size === "number") checkListSize.call(this, this.__size);
+
+        if (this.__dataSource && this.__dataSource.attach) this.__dataSource.attach(this);
 
         // Initial refresh
-        setTimeout(this.invalidate.bind(this), 0);
+        if (options[OPTIONS.RESTORE_STATE]) {
+            applyState.call(this, options[OPTIONS.RESTORE_STATE]);
+            setTimeout(this.invalidate.bind(this), 0);
+        } else if (this.__startAtEnd && this.__size) {
+            this.__atBottom = true;
+            setTimeout(() => {
+                this.scrollToIndex(this.__size - 1, { align: "end" })
+                    .catch(err => warn(err.message));
+            }, 0);
+        } else {
+            setTimeout(this.invalidate.bind(this), 0);
+        }
     }
 
     /**
      * Remove all DOM elements and cached items and initiate invalidation.
      * This should be done when existing list structure is no longer valid.
      * 
-     * For example, if new elements are inserted in the middle of the list
-     * the list has to be reloaded.
+     * For example, if the whole data set has been replaced the list has to
+     * be reloaded. Use insertItems, removeItems or moveItem for smaller changes.
      * 
      * If a reload is initiated while reload/invalidation cycle is still
      * going on the reload will be deferred until the previous cycle is done.
@@ -493,27 +4002,53 @@
             this.__reloadAfterInvalidation = true;
             return;
         }
-        this.__reloading = true;
        
-        // Mark elements to be removed after reload.
+        // Mark elements to be removed after reload, with the index of each
+        // loaded list item. Slots and headers are not list items.
         const childNodes = this.element.childNodes;
         const childrenToRemove = [];
         for (const childElement of childNodes) {
             if (childElement.id.indexOf(MODULE_NAME) !== -1) {
-                childrenToRemove.push(childElement);
+                const index = getListItemIndex(childElement);
+                const isItem = index !== -1 && this.__domElements.has(index)
+                    && this.__slots.get(index) !== childElement;
+                childrenToRemove.push([childElement, isItem ? index : -1]);
             }
         }
 
         this.__reloadingChildrenToRemove = childrenToRemove;
 
+        // Stale generator calls are aborted.
+        abortRequests.call(this);
+
         // Clear caches etc.
         this.__domElements.clear();
+        this.__lastLoaded = -1;
         this.__inView.clear();
         this.__cache.clear();
         this.__queries.clear();
         this.__updateRequests.clear();
-        this.__queue = [];
-        this.__cacheQueue = [];
+        this.__visibleRange = null;
+        // Loading ends here unless the reload loads new items. The old
+        // elements are removed once those have loaded.
+        onQueriesSettled.call(this);
+        this.__reloading = true;
+        for (const failedIndex of Array.from(this.__errors.keys())) {
+            clearItemError.call(this, failedIndex);
+        }
+        removeFooter.call(this);
+        this.__slots.clear();
+        this.__itemData.clear();
+        this.__keys.clear();
+        this.__headers.clear();
+        this.__domPolicy.clear();
+        this.__cachePolicy.clear();
+        if (this.__heightMap) this.__heightMap.clear();
+        if (this.__sizeFromEnd) {
+            // The end of the new data is not known yet.
+            this.__size = undefined;
+            this.__sizeFromEnd = false;
+        }
         if (!this.__keepPositionOnReload) {
             this.__dummyElement.top = 0;
             this.__currentScrollHeight = 0;
@@ -523,8 +4058,7 @@
         this.__uniqueIdentifier = Math.random() * 1000000 >>> 0;
 
         // Invalidate the list to reload it.
-        const invalidate = this.invalidate.bind(this)
-        setTimeout(() => invalidate(), 0);
+        scheduleInvalidate.call(this);
     };
 
     /**
@@ -549,9 +4083,15 @@
             }
         }
 
+        // The count of grid columns follows the width of the container.
+        updateColumns.call(this);
+
+        // Cells of the table columns scrolled into view are loaded for every row.
+        if (this.__table) updateTableColumns.call(this);
+
         // Get scrollable view dimensions.
-        let scrollTop = this.element.scrollTop;
-        const height = this.element.clientHeight;
+        let scrollTop = getScrollTop.call(this);
+        const viewHeight = getViewHeight.call(this);
 
         // If element is not visible, scrollTop returns 0.
         // In this case use the previous value if recorded.
@@ -560,18 +4100,64 @@
         }
         this.__lastScrollTop = scrollTop;
 
+        // Follow the bottom edge only while the user has not scrolled up.
+        if (this.__childSize) {
+            const listHeight = typeof this.__size === "number" ?
+                getListEnd.call(this) :
+                getListHeight.call(this);
+            this.__atBottom = scrollTop + viewHeight >= listHeight - 1;
+        }
+
+        // Only the part of the view over the list is loaded when the page scrolls.
+        const height = Math.max(Math.min(viewHeight, scrollTop + viewHeight), 0);
+        scrollTop = Math.max(scrollTop, 0);
+
         // Calculate which elements are in the view or inside treshold.
-        const elementsInView = getChildrenInView(
-            scrollTop,
-            height,
-            this.__treshold,
-            this.__childSize
-        );
+        // The treshold is extended in the direction of scrolling.
+        const velocity = getScrollVelocity.call(this);
+        const treshold = getPrefetchTreshold.call(this, velocity);
+
+        // Shrink the loaded area extended by prefetching back once scrolling stops.
+        if (velocity && this.__prefetchTime) {
+            clearTimeout(this.__settleTimeout);
+            this.__settleTimeout = setTimeout(() => this.invalidate(), VELOCITY_TIMEOUT);
+        }
+
+        const elementsInView = this.__heightMap || this.__sections ?
+            getLaidOutChildrenInView.call(
+                this,
+                scrollTop,
+                height,
+                treshold
+            ) :
+            getChildrenInView(
+                scrollTop,
+                height,
+                treshold,
+                this.__childSize,
+                this.__columns
+            );
+
+        // Cancel queries of items which left the loaded range before resolving.
+        const cancelledQueries = Array.from(this.__queries.keys())
+            .filter(e => !~elementsInView.indexOf(e));
+        for (const queryIndex of cancelledQueries) cancelQuery.call(this, queryIndex);
+        if (cancelledQueries.length) onQueriesSettled.call(this);
+
+        // Forget failures of items which are no longer in the loaded range
+        // so they are retried when scrolled back to.
+        for (const failedIndex of Array.from(this.__errors.keys())) {
+            if (~elementsInView.indexOf(failedIndex)) continue;
+            clearItemError.call(this, failedIndex);
+            removeSlotElement.call(this, failedIndex);
+        }
 
         // Calculate set difference; which elements should be loaded.
-        let difference = elementsInView.filter(
-            e => !this.__domElements.has(e)
-        );
+        // Failed items wait for their retry.
+        let difference = elementsInView.filter(e => {
+            const error = this.__errors.get(e);
+            return !this.__domElements.has(e) && !(error && error.waiting);
+        });
         // Remove elements which have index higher than the set size of the list.
         difference = difference
             .filter(e => {
@@ -581,29 +4167,49 @@
                 return true;
             });
 
+        // Rows loaded only because of the scroll speed are not queried while
+        // many queries are pending, so a fling does not flood the generator.
+        if (velocity && this.__childSize) {
+            const baseTop = scrollTop - this.__treshold;
+            const baseBottom = scrollTop + height + this.__treshold;
+            const ahead = velocity > 0 ? difference : difference.slice().reverse();
+            let budget = Math.max(this.__prefetchLimit - this.__queries.size, 0);
+            const allowed = new Set(ahead.filter(e =>
+                (getItemTop.call(this, e) < baseBottom
+                    && getItemTop.call(this, e) + getItemHeight.call(this, e) > baseTop)
+                || budget-- > 0));
+            difference = difference.filter(e => allowed.has(e));
+        }
+
         this.__inView = new Set(elementsInView);
 
-        // If a limit for loaded DOM elements has been set, remove the oldest
-        // elementst in list.
-        if (this.__elementLimit) {
-            const elementsToRemove = [];
-            let i = 0;
-            while (
-                this.__queue.length > this.__elementLimit &&
-                i++ < this.__queue.length
-            ) {
-                const candidateForRemoval = this.__queue.shift();
-
-                if (
-                    this.__inView.has(candidateForRemoval) ||
-                    this.__queries.has(candidateForRemoval)
-                )
-                    continue;
-                elementsToRemove.push(candidateForRemoval);
-            }
+        updateVisibleRange.call(this, scrollTop, height);
+        renderHeaders.call(this, elementsInView, scrollTop);
+        updateFooter.call(this);
+
+        // Elements in view are the most recently used.
+        for (const e of elementsInView) {
+            if (!this.__domElements.has(e)) continue;
+            const elem = document.getElementById(getListItemId.call(this, e));
+            if (elem) this.__domPolicy.touch(e, elem);
+        }
+
+        // If a limit for loaded DOM elements has been set, remove the least
+        // recently used elements in list. Reusable elements, and all elements
+        // in scaled coordinates, are removed as soon as they leave the loaded
+        // area unless a limit is set.
+        if (this.__elementLimit || this.__bindElement || this.__scaled) {
+            const elementsToRemove = this.__domPolicy.evict(
+                this.__elementLimit || 0,
+                e => !this.__inView.has(e) && !this.__queries.has(e)
+                    && !(this.__keyboardNavigation && e === this.__focusIndex)
+            );
 
             if (elementsToRemove.length) {
                 const removeElements = () => {
+                    // Elements added in this frame must be in DOM to be removed.
+                    commitFragment.call(this);
+
                     // Remove oldest DOM elements and push the data into cache.
                     const removedElements = removeChildren.call(this,
                         this.element,
@@ -613,22 +4219,30 @@
                             removedId,
                             removedDom
                         ] of removedElements.entries()) {
-                        this.__cacheQueue.push(removedId);
-                        this.__cache.set(removedId, removedDom);
                         this.__domElements.delete(removedId);
-                        if (this.__domDelete) __domDelete(removedDom);
-                    }
+                        if (removedId === this.__lastLoaded) this.__lastLoaded = null;
+                        emit.call(this, EVENTS.ITEM_EVICTED, { index: removedId, element: removedDom });
 
-                    // Truncate the cache according to cacheSize.
-                    while (
-                        this.__cacheSize &&
-                        this.__cacheQueue.length > this.__cacheSize
-                    ) {
-                        const removeCachedId = this.__cacheQueue.shift();
-                        this.__cache.delete(removeCachedId);
+                        // Reusable elements go back to the pool and only
+                        // their data is cached.
+                        if (this.__bindElement) {
+                            const data = this.__itemData.get(removedId);
+                            this.__itemData.delete(removedId);
+                            recycleElement.call(this, removedId, removedDom);
+                            this.__cachePolicy.touch(removedId, data);
+                            this.__cache.set(removedId, data);
+                            emit.call(this, EVENTS.ITEM_CACHED, { index: removedId, data });
+                            continue;
+                        }
+
+                        this.__cachePolicy.touch(removedId, removedDom);
+                        this.__cache.set(removedId, removedDom);
+                        emit.call(this, EVENTS.ITEM_CACHED, { index: removedId, element: removedDom });
                     }
+
+                    truncateCache.call(this);
                 };
-                setTimeout(removeElements.bind(this), 0);
+                scheduleRender.call(this, removeElements);
             }
         }
 
@@ -642,30 +4256,34 @@
         for (const childToQuery of difference) {
             // Do not attempt to load elements past the fixed size.
             if (typeof this.__size === "number" && childToQuery >= this.__size) continue;
-            
-            // Show spinner if applicable.
-            if (this.__spinner) {
-                this.__spinner(true);
-                clearTimeout(this.__spinnerTimeout);
-                const _spinner = this.__spinner;
-                this.__spinnerTimeout = setTimeout(() => _spinner(false), 100);
-            }
 
             // Do not invoke generator if query is unresolved already.
             if (!this.__queries.has(childToQuery)) {
-                this.__queue.push(childToQuery);
-
                 // Check if the DOM element has already been generated and cached.
                 if (this.__cache.has(childToQuery)) {
+                    // The ticket keeps the item from being queried again
+                    // before it is added in the next frame.
+                    const ticket = { index: childToQuery };
+                    this.__queries.set(childToQuery, ticket);
+                    rememberKey.call(this, childToQuery);
                     onListItemGenerated.call(
                         this,
-                        childToQuery,
+                        ticket,
                         this.__cache.get(childToQuery),
                         uniqueIdentifier
                     );
                 } else {
-                    this.__queries.add(childToQuery);
+                    this.__queries.set(childToQuery, { index: childToQuery });
+                    rememberKey.call(this, childToQuery);
                     childrenToLoad.push(childToQuery);
+
+                    // Show a placeholder until the generator resolves.
+                    if (this.__placeholder) {
+                        const placeholder = this.__placeholder(childToQuery);
+                        if (placeholder instanceof HTMLElement) {
+                            addSlotElement.call(this, childToQuery, placeholder);
+                        }
+                    }
                 }
             }
 
@@ -678,27 +4296,32 @@
             stretchList.call(this, lastChild);
         }
 
+        scheduleIdlePrefetch.call(this);
+
         if (!childrenToLoad.length)
             return;
 
-        const onGenerated = onListItemGenerated.bind(this);
-        const generate = this.__query.bind(this);
+        this.__loading = true;
+        emit.call(this, EVENTS.LOAD_START, { indices: childrenToLoad });
 
-        if (this.__batchLoad) {
-            // If the user wants to load in batches, call the generator with
-            // all of the elements at once.
-            generate(childrenToLoad, newElements =>
-                onGenerated(childrenToLoad, newElements, uniqueIdentifier));
-        } else {
-            for (const childToQuery of childrenToLoad) {
-                // Calling generator function and adding to DOM are both
-                // heavy operations and have to be passed as separate events
-                // to avoid browser postponing them too much and making
-                // list updates slow.
-                generate(childToQuery, newElement =>
-                    onGenerated(childToQuery, newElement, uniqueIdentifier));
-            }
+        // If the user wants to load in batches, call the generator with
+        // up to maxBatchSize elements at once, otherwise one by one.
+        const batchSize = this.__batchLoad ?
+            this.__maxBatchSize || childrenToLoad.length :
+            1;
+        for (let i = 0; i < childrenToLoad.length; i += batchSize) {
+            const tickets = childrenToLoad.slice(i, i + batchSize).map(e => this.__queries.get(e));
+            const request = {
+                tickets: new Set(tickets),
+                batch: !!this.__batchLoad,
+                controller: createAbortController(),
+                uniqueIdentifier
+            };
+            for (const ticket of tickets) ticket.request = request;
+            this.__requestQueue.push(request);
         }
+
+        startRequests.call(this);
     };
 
     /**
@@ -710,21 +4333,226 @@
         // The element is not visible; don't update
         if (!this.__domElements.has(index)) return;
 
-        // Set random number as identifier for latest update request.
-        const randomIndex = Math.random() * 1000 >>> 0;
-        this.__updateRequests.set(index, randomIndex)
+        // Only the latest update request of an item is applied; earlier
+        // ones are aborted.
+        const previous = this.__updateRequests.get(index);
+        if (previous && previous.controller) previous.controller.abort();
+        const request = { controller: createAbortController() };
+        this.__updateRequests.set(index, request);
+
+        // Table rows are generated with the cells of the columns in view.
+        const columns = this.__table ? this.__table.columns : null;
 
-        this.__query(index, updatedElement => {
-            if (!updatedElement) return;
+        queueGeneratorCall.call(this, index, updatedElement => {
+            // Falsy data such as 0 is valid for reusable elements.
+            if (updatedElement === null || updatedElement === undefined || isEndOfData(updatedElement)) return;
+            if (updatedElement instanceof Error) {
+                if (this.__updateRequests.get(index) === request)
+                    warn(`Updating item ${index} failed: ${updatedElement.message}`);
+                return;
+            }
 
-            if (updatedElement.constructor === Array) {
+            if (this.__table) {
+                updatedElement = createTableRow.call(this, getRowCells(updatedElement), columns);
+            } else if (updatedElement.constructor === Array) {
                 updatedElement = updatedElement[0];
             }
 
-            const latestRequestIndex = this.__updateRequests.get(index);
-            if (latestRequestIndex !== randomIndex) return;
-            addChild.call(this, index, updatedElement, true);
-        }, ...data);
+            if (this.__updateRequests.get(index) !== request) return;
+
+            scheduleRender.call(this, () => {
+                // The item has been removed from DOM in the meantime.
+                if (!this.__domElements.has(index) || this.__updateRequests.get(index) !== request) return;
+
+                // Reusable elements are rebound in place.
+                if (this.__bindElement) {
+                    commitFragment.call(this);
+                    const elem = document.getElementById(getListItemId.call(this, index));
+                    if (!elem) return;
+                    this.__bindElement(elem, index, updatedElement);
+                    this.__itemData.set(index, updatedElement);
+                    addChild.call(this, index, elem, false);
+                    return;
+                }
+
+                addChild.call(this, index, updatedElement, true);
+            });
+        }, columns ? [columns, ...data] : data, request.controller);
+    };
+
+    /**
+     * Insert new items to the list without reloading it. Loaded items
+     * at or after the index are moved down and only the new items are
+     * generated.
+     *
+     * @param {number} index Index of the first new item.
+     * @param {number} count Number of items to insert.
+     */
+    ScrollElement.prototype.insertItems = function (index, count = 1) {
+        validateIndex.call(this, index, true);
+        if (!count) return;
+
+        const newSize = typeof this.__size === "number" ? this.__size + count : undefined;
+        remapIndices.call(this, e => e < index ? e : e + count, newSize);
+    };
+
+    /**
+     * Add new items to the beginning of the list, e.g. older messages in
+     * a chat view. The visible content stays in place.
+     *
+     * @param {number} count Number of items to add.
+     */
+    ScrollElement.prototype.prependItems = function (count = 1) {
+        this.insertItems(0, count);
+    };
+
+    /**
+     * Add new items to the end of the list. If the list is scrolled to
+     * the bottom and stickToBottom is set, the list follows the new items.
+     *
+     * @param {number} count Number of items to add.
+     */
+    ScrollElement.prototype.appendItems = function (count = 1) {
+        if (typeof this.__size !== "number")
+            throw Error("Items can only be appended to a list of known size");
+        this.insertItems(this.__size, count);
+    };
+
+    /**
+     * Remove items from the list without reloading it. Loaded items
+     * after the removed ones are moved up.
+     *
+     * @param {number} index Index of the first item to remove.
+     * @param {number} count Number of items to remove.
+     */
+    ScrollElement.prototype.removeItems = function (index, count = 1) {
+        validateIndex.call(this, index);
+        if (typeof this.__size === "number") {
+            count = Math.min(count, this.__size - index);
+        }
+        if (!count) return;
+
+        const newSize = typeof this.__size === "number" ? this.__size - count : undefined;
+        remapIndices.call(this, e => {
+            if (e < index) return e;
+            if (e < index + count) return -1;
+            return e - count;
+        }, newSize);
+    };
+
+    /**
+     * Move a single item to a new index without reloading the list.
+     *
+     * @param {number} from Current index of the item.
+     * @param {number} to New index of the item.
+     */
+    ScrollElement.prototype.moveItem = function (from, to) {
+        validateIndex.call(this, from);
+        validateIndex.call(this, to);
+        if (from === to) return;
+
+        remapIndices.call(this, e => {
+            if (e === from) return to;
+            if (from < to && e > from && e <= to) return e - 1;
+            if (from > to && e >= to && e < from) return e + 1;
+            return e;
+        }, undefined, from);
+    };
+
+    /**
+     * Reorder the list to match new keys, e.g. after the data has been
+     * sorted or filtered. Loaded and cached items whose keys still exist are
+     * moved to their new indices, the others are removed, and only items
+     * with new keys are generated. Requires the getKey option.
+     *
+     * @param {Array} keys Keys of all items in the new order.
+     */
+    ScrollElement.prototype.setKeys = function (keys) {
+        if (!this.__getKey)
+            throw Error("setKeys requires the getKey option");
+        if (!Array.isArray(keys))
+            throw Error(`Invalid keys ${keys}, expected an array`);
+
+        const newIndices = new Map();
+        keys.forEach((key, index) => {
+            if (newIndices.has(key)) throw Error(`Duplicate key ${key}`);
+            newIndices.set(key, index);
+        });
+
+        const oldKeys = this.__keys;
+        remapIndices.call(this, e => {
+            const newIndex = oldKeys.has(e) ? newIndices.get(oldKeys.get(e)) : undefined;
+            return newIndex === undefined ? -1 : newIndex;
+        }, keys.length, undefined, true);
+    };
+
+    /**
+     * Reconcile the list with the current data using getKey for every index,
+     * e.g. after the data has been sorted or filtered. See setKeys().
+     *
+     * @param {number} size Size of the list after the change, defaults to the current size.
+     */
+    ScrollElement.prototype.refresh = function (size = this.__size) {
+        if (!this.__getKey)
+            throw Error("refresh requires the getKey option");
+        if (!Number.isInteger(size) || size < 0)
+            throw Error(`Invalid size ${size}, refresh requires the size of the list`);
+
+        this.setKeys(Array.from(Array(size), (e, index) => this.__getKey(index)));
+    };
+
+    /**
+     * Retry generating list items which have failed to load. Retrying
+     * resets the number of attempts made according to the retry policy.
+     *
+     * @param {number|number[]} indices Index or indices to retry. If not
+     * given, all failed items are retried.
+     */
+    ScrollElement.prototype.retry = function (indices) {
+        const toRetry = indices === undefined ?
+            Array.from(this.__errors.keys()) :
+            [].concat(indices);
+
+        for (const index of toRetry) {
+            clearItemError.call(this, index);
+        }
+
+        this.invalidate();
+    };
+
+    /**
+     * Scroll the list so that the item with the given index is visible.
+     *
+     * @param {number} index Ordinal index of the item.
+     * @param {Object} options Alignment of the item in the view, one of
+     * 'start', 'center', 'end' or 'nearest', and scroll behavior, 'auto' or 'smooth'.
+     * @returns {Promise} Resolves with the DOM element of the item once it has
+     * been generated and added to the list.
+     */
+    ScrollElement.prototype.scrollToIndex = function (index, { align = "start", behavior = "auto" } = {}) {
+        validateIndex.call(this, index);
+        if (!~["start", "center", "end", "nearest"].indexOf(align))
+            throw Error(`Invalid align ${align}`);
+
+        // The item size is not known before the first item has been loaded.
+        if (!this.__childSize) {
+            this.invalidate();
+            return waitForItem.call(this, 0)
+                .then(() => this.scrollToIndex(index, { align, behavior }));
+        }
+
+        const loaded = waitForItem.call(this, index);
+        scrollToItem.call(this, index, align, behavior);
+        this.invalidate();
+
+        if (!this.__heightMap) return loaded;
+
+        // The position was based on estimated heights; correct it once the
+        // item has been measured.
+        return loaded.then(elem => {
+            scrollToItem.call(this, index, align, "auto");
+            return elem;
+        });
     };
 
     ScrollElement.prototype.updateSize = function (size) {
@@ -735,26 +4563,44 @@
         const newSize = +size;
 
         if (newSize === oldSize) return;
+        checkListSize.call(this, newSize);
         this.__size = newSize;
+        this.__sizeFromEnd = false;
+
+        if (this.__table) {
+            updateRowCount.call(this);
+        } else {
+            for (const domElementId of this.__domElements) {
+                const elem = document.getElementById(getListItemId.call(this, domElementId));
+                if (elem) elem.setAttribute("aria-setsize", newSize);
+            }
+        }
+        if (this.__focusIndex >= newSize) this.__focusIndex = Math.max(newSize - 1, 0);
+
+        // Deselect items which no longer exist.
+        if (Array.from(this.__selection).some(e => e >= newSize)) {
+            changeSelection.call(this, Array.from(this.__selection).filter(e => e < newSize));
+        }
+        if (this.__selectionAnchor >= newSize) this.__selectionAnchor = null;
 
         // Update scroll element height if fixed.
         positionDummyElement.call(this);
 
         // Update scroll element height so it doesn't go out of bounds.
-        const newMaxScrollHeight = newSize * this.__childSize;
-        const dummyTop = Number.parseInt(this.__dummyElement.style.top);
-        const scrollTop = this.element.scrollTop + this.element.clientHeight;
+        const newMaxScrollHeight = getListEnd.call(this);
+        const dummyTop = this.__dummyTop;
+        const scrollTop = getScrollTop.call(this) + getViewHeight.call(this);
 
         // Move the dummy element so the list doesn't stretch over last element.
         if (dummyTop > newMaxScrollHeight) {
-            this.__dummyElement.style.top = `${newMaxScrollHeight}px`;
             this.__currentScrollHeight = newMaxScrollHeight;
+            setDummyTop.call(this, newMaxScrollHeight);
         }
 
         // Move visible area up if it is left outside the new list size.
-        if (scrollTop > newMaxScrollHeight) {
-            this.element.scrollTop = Math.max(newMaxScrollHeight
-                - this.element.clientHeight, 0);
+        if (scrollTop > newMaxScrollHeight && this.__scrollParent === this.element) {
+            setScrollTop.call(this, Math.max(newMaxScrollHeight
+                - getViewHeight.call(this), 0));
         }
 
         // Remove list elements which' index is too large for the new size.
@@ -766,18 +4612,50 @@
         }
 
         if (removeElements.length) {
-            removeChildren.call(this, this.element, removeElements);
+            const removedElements = removeChildren.call(this, this.element, removeElements);
             for (const removedChild of removeElements) {
                 this.__domElements.delete(removedChild);
-                this.__cache.delete(removedChild);
-                const queueIndex = this.__queue.indexOf(removedChild);
-                if (queueIndex !== -1) {
-                    this.__queue.splice(queueIndex, 1);
-                }
-                const cacheIndex = this.__cacheQueue.indexOf(removedChild);
-                if (cacheIndex !== -1) {
-                    this.__cacheQueue.splice(cacheIndex, 1);
-                }
+                this.__domPolicy.delete(removedChild);
+            }
+            for (const [removedId, removedDom] of removedElements) {
+                emit.call(this, EVENTS.ITEM_EVICTED, { index: removedId, element: removedDom });
+                this.__itemData.delete(removedId);
+                recycleElement.call(this, removedId, removedDom);
+            }
+            this.__lastLoaded = null;
+        }
+
+        // Drop cached elements which' index is too large for the new size.
+        for (const cachedId of Array.from(this.__cache.keys())) {
+            if (cachedId < newSize) continue;
+            this.__cache.delete(cachedId);
+            this.__cachePolicy.delete(cachedId);
+        }
+        for (const keyIndex of Array.from(this.__keys.keys())) {
+            if (keyIndex >= newSize) this.__keys.delete(keyIndex);
+        }
+
+        // Forget failures of the removed items.
+        for (const failedIndex of Array.from(this.__errors.keys())) {
+            if (failedIndex < newSize) continue;
+            clearItemError.call(this, failedIndex);
+            removeSlotElement.call(this, failedIndex);
+        }
+
+        // Items waited for by scrollToIndex no longer exist.
+        for (const waitedIndex of Array.from(this.__itemWaiters.keys())) {
+            if (waitedIndex >= newSize) rejectWaiters.call(this, waitedIndex, Error(`Item ${waitedIndex} was removed`));
+        }
+
+        // Results of pending queries for the removed items are ignored.
+        const removedQueries = Array.from(this.__queries.keys()).filter(e => e >= newSize);
+        for (const queryIndex of removedQueries) cancelQuery.call(this, queryIndex);
+        if (removedQueries.length) onQueriesSettled.call(this);
+
+        // Forget measured heights of the removed items.
+        if (this.__heightMap) {
+            for (const measuredIndex of Array.from(this.__heightMap.heights.keys())) {
+                if (measuredIndex >= newSize) this.__heightMap.delete(measuredIndex);
             }
         }
 
@@ -795,19 +4673,205 @@
             }
         }
 
-        // The list needs to be invalidated if it was empty,
-        // otherwise nothing will be visible.
-        if (oldSize === 0) {
+        updateFooter.call(this);
+
+        // Follow new items added to the end of the list.
+        if (newSize > oldSize && isStuckToBottom.call(this)) {
+            scrollToBottom.call(this);
+            this.invalidate.call(this);
+        } else if (oldSize === 0) {
+            // The list needs to be invalidated if it was empty,
+            // otherwise nothing will be visible.
             this.invalidate.call(this);
         }
     }
 
+    /**
+     * Get the indices of the selected items in ascending order.
+     *
+     * @returns {number[]} Selected indices.
+     */
+    ScrollElement.prototype.getSelection = function () {
+        return Array.from(this.__selection).sort((a, b) => a - b);
+    };
+
+    /**
+     * Replace the selected items. The selection is kept by index and
+     * applied to items whenever they are added to DOM.
+     *
+     * @param {number[]} indices Indices to select, empty to clear the selection.
+     */
+    ScrollElement.prototype.setSelection = function (indices) {
+        indices = [].concat(indices);
+        for (const index of indices) validateIndex.call(this, index);
+        if (this.__selectionMode === "single" && indices.length > 1)
+            throw Error("Only a single item can be selected in 'single' selection mode");
+
+        changeSelection.call(this, indices);
+        this.__selectionAnchor = indices.length ? indices[indices.length - 1] : null;
+    };
+
+    /**
+     * Move keyboard focus to the item with the given index. The item is
+     * loaded and scrolled into view first if needed.
+     *
+     * @param {number} index Ordinal index of the item.
+     * @returns {Promise} Resolves with the focused DOM element.
+     */
+    ScrollElement.prototype.focusIndex = function (index) {
+        validateIndex.call(this, index);
+        setFocusIndex.call(this, index);
+
+        return this.scrollToIndex(index, { align: "nearest" }).then(elem => {
+            // Focus may have moved on while the item was loading.
+            if (this.__focusIndex !== index) return elem;
+
+            setFocusIndex.call(this, index);
+            elem.focus({ preventScroll: true });
+            return elem;
+        });
+    };
+
+    /**
+     * Set the start indices of list sections. Each section has a header
+     * created with the headerGenerator option.
+     *
+     * @param {number[]} sections Start indices of the sections in ascending order.
+     */
+    ScrollElement.prototype.setSections = function (sections) {
+        validateSections(sections);
+        this.__sections = sections.slice();
+
+        // Headers are recreated for the new sections.
+        for (const elem of this.__headers.values()) {
+            if (elem.parentNode === this.element) this.element.removeChild(elem);
+        }
+        this.__headers.clear();
+
+        if (this.__childSize) {
+            repositionChildren.call(this);
+            positionDummyElement.call(this);
+            this.invalidate();
+        }
+    };
+
+    /**
+     * Get a serializable snapshot of the list state which can be passed
+     * to restoreState() or the restoreState option to return to the
+     * same position later.
+     *
+     * @returns {Object} List state.
+     */
+    ScrollElement.prototype.getState = function () {
+        let scrollTop = getScrollTop.call(this);
+        if (!scrollTop && !isElementVisible(this.element) && this.__lastScrollTop) {
+            scrollTop = this.__lastScrollTop;
+        }
+
+        const firstIndex = this.__childSize ? getIndexAt.call(this, scrollTop) : 0;
+
+        return {
+            scrollTop,
+            firstIndex,
+            firstOffset: this.__childSize ? scrollTop - getItemTop.call(this, firstIndex) : 0,
+            size: this.__size,
+            childSize: this.__childSize,
+            heights: this.__heightMap ? Array.from(this.__heightMap.heights) : null,
+            loaded: Array.from(this.__domElements).sort((a, b) => a - b)
+        };
+    };
+
+    /**
+     * Restore the list to a state returned by getState(). The scroll
+     * position is restored and only the visible items are loaded.
+     *
+     * @param {Object} state Saved list state.
+     */
+    ScrollElement.prototype.restoreState = function (state) {
+        applyState.call(this, state);
+        this.invalidate();
+    };
+
+    /**
+     * Add a listener for list events. The listener is called with an
+     * event object containing type, detail and target properties.
+     *
+     * @param {string} type Event type.
+     * @param {function} listener Listener callback.
+     * @returns {ScrollElement} This list, for chaining.
+     */
+    ScrollElement.prototype.on = function (type, listener) {
+        if (!~Object.values(EVENTS).indexOf(type))
+            warn(`Unknown event type '${type}'. Typo?`);
+        if (typeof listener !== "function")
+            throw Error(`Listener for '${type}' is not a function`);
+
+        if (!this.__listeners.has(type)) this.__listeners.set(type, new Set());
+        this.__listeners.get(type).add(listener);
+        return this;
+    };
+
+    /**
+     * Remove a listener added with on().
+     *
+     * @param {string} type Event type.
+     * @param {function} listener Listener callback.
+     * @returns {ScrollElement} This list, for chaining.
+     */
+    ScrollElement.prototype.off = function (type, listener) {
+        const listeners = this.__listeners.get(type);
+        if (listeners) listeners.delete(listener);
+        return this;
+    };
+
     /**
      * Dispose event listeners when the list is no longer needed.
      */
     ScrollElement.prototype.dispose = function () {
+        if (this.__dataSource && this.__dataSource.attach) this.__dataSource.attach(null);
+        if (this.__resizeObserver) this.__resizeObserver.disconnect();
+        if (this.__intersectionObserver) this.__intersectionObserver.disconnect();
         window.removeEventListener("resize", this.__resizeListener);
-        this.element.removeEventListener("scroll", this.__scrollListener);
+        this.__scrollParent.removeEventListener("scroll", this.__scrollListener);
+        this.element.removeEventListener("focusin", this.__focusListener);
+        this.element.removeEventListener("keydown", this.__keyListener);
+        this.element.removeEventListener("click", this.__clickListener);
+        this.element.removeEventListener("pointerdown", this.__pullStartListener);
+        this.element.removeEventListener("pointermove", this.__pullMoveListener);
+        this.element.removeEventListener("pointerup", this.__pullEndListener);
+        this.element.removeEventListener("pointercancel", this.__pullEndListener);
+        this.element.removeEventListener("touchmove", this.__touchMoveListener);
+        this.element.removeEventListener("click", this.__pullClickListener, true);
+        if (this.__pull.request && this.__pull.request.controller) this.__pull.request.controller.abort();
+        this.__pull.request = null;
+        this.__pull.refreshing = false;
+        this.__pull.pointer = null;
+        setPullDistance.call(this, 0);
+        this.__pull.indicator = null;
+        if (this.__onRefresh) this.element.style.touchAction = this.__pull.touchAction;
+        if (this.__frameRequest !== null) cancelFrame(this.__frameRequest);
+        this.__frameRequest = null;
+        this.__renderQueue = [];
+        if (this.__idleRequest !== null) window.cancelIdleCallback(this.__idleRequest);
+        this.__idleRequest = null;
+        abortRequests.call(this);
+        this.__queries.clear();
+        this.__updateRequests.clear();
+        clearTimeout(this.__settleTimeout);
+
+        // Results of generator calls which settle after this are ignored.
+        this.__uniqueIdentifier = Math.random() * 1000000 >>> 0;
+
+        for (const waiters of this.__itemWaiters.values()) {
+            for (const waiter of waiters) waiter.reject(Error(`${MODULE_NAME} was disposed`));
+        }
+        this.__itemWaiters.clear();
+        this.__listeners.clear();
+
+        for (const failedIndex of Array.from(this.__errors.keys())) {
+            clearItemError.call(this, failedIndex);
+        }
+        removeFooter.call(this);
     };
 
     // Bind as global function
@@ -815,5 +4879,10 @@
         throw new Error(
             `CLASH: Global property ${MODULE_NAME} exist already in window!`
         );
+    ScrollElement.EVENTS = EVENTS;
+    ScrollElement.END = END;
+    ScrollElement.LruPolicy = LruPolicy;
+    ScrollElement.ArraySource = ArraySource;
+    ScrollElement.PagedSource = PagedSource;
     window[MODULE_NAME] = ScrollElement;
 })();
\ No newline at end of file